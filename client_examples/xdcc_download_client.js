@@ -15,6 +15,7 @@ let host = 'localhost';
 let port = 8080;
 let botName = '';
 let packNumber = '';
+let token = process.env.XDCC_TOKEN || '';
 let sendProgress = true;
 
 // Parse arguments
@@ -31,6 +32,9 @@ for (let i = 0; i < args.length; i++) {
   } else if (args[i] === '--pack' && i+1 < args.length) {
     packNumber = args[i+1];
     i++;
+  } else if (args[i] === '--token' && i+1 < args.length) {
+    token = args[i+1];
+    i++;
   } else if (args[i] === '--no-progress') {
     sendProgress = false;
   } else if (args[i] === '--help') {
@@ -38,13 +42,14 @@ for (let i = 0; i < args.length; i++) {
 XDCC Download Client
 
 Usage:
-  node client.js --host <host> --port <port> --bot <bot_name> --pack <pack_number> [--no-progress]
+  node client.js --host <host> --port <port> --bot <bot_name> --pack <pack_number> [--token <token>] [--no-progress]
 
 Options:
   --host <host>       Server hostname (default: localhost)
   --port <port>       Server port (default: 8080)
   --bot <bot_name>    Bot name (required)
   --pack <pack_number> Pack number (required)
+  --token <token>     API token, when the server requires one (default: $XDCC_TOKEN)
   --no-progress       Don't request progress updates
   --help              Show this help message
 `);
@@ -92,9 +97,12 @@ socket.connect(port, host, () => {
     pack_number: packNumber,
     send_progress: sendProgress
   };
+  if (token) {
+    request.token = token;
+  }
 
-  console.log(`Sending request: ${JSON.stringify(request)}`);
-  socket.write(JSON.stringify(request));
+  console.log(`Sending request: ${JSON.stringify(Object.assign({}, request, token ? { token: '***' } : {}))}`);
+  socket.write(JSON.stringify(request) + '\n');
 });
 
 // Handle data received from the server
@@ -102,21 +110,15 @@ socket.on('data', (data) => {
   // Add the data to our buffer
   buffer += data.toString();
 
-  // Process complete JSON objects
-  let startPos = 0;
-  while ((startPos = buffer.indexOf('{', startPos)) !== -1) {
-    try {
-      // Find a potential JSON object
-      let endPos = buffer.indexOf('}', startPos);
-      if (endPos === -1) break;
-
-      // Extract and parse the JSON
-      const jsonStr = buffer.substring(startPos, endPos + 1);
-      const response = JSON.parse(jsonStr);
+  // Process complete JSON messages, one per line
+  let newline;
+  while ((newline = buffer.indexOf('\n')) !== -1) {
+    const line = buffer.substring(0, newline);
+    buffer = buffer.substring(newline + 1);
+    if (!line.trim()) continue;
 
-      // Remove the processed part from the buffer
-      buffer = buffer.substring(endPos + 1);
-      startPos = 0;
+    try {
+      const response = JSON.parse(line);
 
       // Process the response based on its status
       switch (response.status) {
@@ -154,13 +156,38 @@ socket.on('data', (data) => {
           socket.end();
           break;
 
+        case 'cancelled':
+          console.log(`\n${response.message}`);
+          socket.end();
+          break;
+
+        // Waiting in the bot's queue, for a retry or for IRC to come back
+        case 'queued':
+          console.log(`\nQueued by the bot${response.position ? ` at position ${response.position}` : ''}: ${response.message}`);
+          break;
+
+        case 'retrying':
+          console.log(`\n${response.message}, attempt ${response.attempt} of ${response.max_attempts} at ${response.retry_at}`);
+          break;
+
+        case 'restarting':
+          console.log(`\n${response.message}`);
+          break;
+
+        case 'irc_unavailable':
+          console.log(`\n${response.message}`);
+          // Without a job the request was turned away
+          if (!response.job_id) {
+            socket.end();
+          }
+          break;
+
         default:
           console.log(`\nUnknown status: ${response.status}`);
           console.log(response);
       }
     } catch (err) {
-      // If we couldn't parse it as JSON, move past this opening brace
-      startPos++;
+      console.error(`\nIgnoring invalid message from server: ${line}`);
     }
   }
 });
@@ -8,6 +8,7 @@ A simple client to request files from the XDCC Download Server.
 import socket
 import json
 import argparse
+import os
 import time
 import sys
 
@@ -38,6 +39,8 @@ def main():
     parser.add_argument("--port", type=int, default=8080, help="XDCC server port")
     parser.add_argument("--bot", required=True, help="Bot name (e.g., 'BotName')")
     parser.add_argument("--pack", required=True, help="Pack number")
+    parser.add_argument("--token", default=os.environ.get("XDCC_TOKEN"),
+                        help="API token, when the server requires one (default: $XDCC_TOKEN)")
     parser.add_argument("--no-progress", action="store_true", help="Don't request progress updates")
 
     args = parser.parse_args()
@@ -57,9 +60,11 @@ def main():
             "pack_number": args.pack,
             "send_progress": not args.no_progress
         }
+        if args.token:
+            request["token"] = args.token
 
-        print(f"Sending request: {json.dumps(request)}")
-        sock.sendall(json.dumps(request).encode('utf-8'))
+        print(f"Sending request: {json.dumps(dict(request, token='***') if args.token else request)}")
+        sock.sendall(json.dumps(request).encode('utf-8') + b"\n")
 
         # Set timeout for receiving data
         sock.settimeout(60)  # 60 seconds
@@ -97,27 +102,14 @@ def main():
                 # Add to our buffer
                 buffer += chunk
 
-                # Try to process one or more JSON objects from buffer
-                while True:
-                    # Find the start of a JSON object
-                    start = buffer.find(b'{')
-                    if start == -1:
-                        break
-
-                    # Find the end of the JSON object
-                    end = buffer.find(b'}', start)
-                    if end == -1:
-                        break
-
-                    # Extract potential JSON data
-                    json_data = buffer[start:end + 1]
+                # Process every complete JSON message, one per line
+                while b"\n" in buffer:
+                    line, buffer = buffer.split(b"\n", 1)
+                    if not line.strip():
+                        continue
 
                     try:
-                        # Try to parse it as JSON
-                        response = json.loads(json_data)
-
-                        # If successful, remove from buffer
-                        buffer = buffer[end + 1:]
+                        response = json.loads(line)
 
                         # Process the response
                         status = response.get("status", "unknown")
@@ -158,10 +150,32 @@ def main():
                             print(f"\nDownload failed: {response.get('message', 'Unknown error')}")
                             return 1
 
+                        elif status == "cancelled":
+                            print(f"\n{response.get('message', 'Download was cancelled')}")
+                            return 1
+
+                        # Waiting in the bot's queue, for a retry or for IRC to come back,
+                        # which can take longer than the receive timeout
+                        elif status in ("queued", "retrying", "irc_unavailable"):
+                            sock.settimeout(None)
+                            if status == "queued":
+                                position = response.get("position")
+                                print(f"\nQueued by the bot{f' at position {position}' if position else ''}: "
+                                      f"{response.get('message', '')}")
+                            elif status == "retrying":
+                                print(f"\n{response.get('message', '')}, attempt {response.get('attempt')} of "
+                                      f"{response.get('max_attempts')} at {response.get('retry_at')}")
+                            else:
+                                print(f"\n{response.get('message', '')}")
+                                # Without a job the request was turned away
+                                if not response.get("job_id"):
+                                    return 1
+
+                        elif status == "restarting":
+                            print(f"\n{response.get('message', '')}")
+
                     except json.JSONDecodeError:
-                        # Not valid JSON - might be incomplete or not JSON at all
-                        # Just move past the opening brace and try again
-                        buffer = buffer[start + 1:]
+                        print(f"\nIgnoring invalid message from server: {line!r}")
 
             except socket.timeout:
                 print("\nTimeout waiting for server response")
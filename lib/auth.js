@@ -0,0 +1,258 @@
+/**
+ * Authentication Module
+ *
+ * This module checks the API tokens sent with requests and what each token
+ * may do: which networks and bots it can download from, which download
+ * directories it can write to, how many jobs it can have pending and
+ * whether it can see or cancel the jobs of other tokens.
+ */
+
+'use strict';
+
+// Get dependencies
+const fs = require('fs');
+const crypto = require('crypto');
+const { resolveDirectory, isInside } = require('./paths');
+
+/**
+ * Error for requests a token is not allowed to make
+ * @class AuthError
+ * @extends Error
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} code - UNAUTHORIZED, FORBIDDEN or TOO_MANY_JOBS
+   * @param {string} message - Error message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Load API tokens and their permissions from a JSON file
+ *
+ * The file maps token names to their settings. Every permission is optional
+ * and unrestricted when left out:
+ * { "tokens": { "alice": {
+ *   "token": "s3cret", "networks": ["rizon"], "bots": ["MyBot|*"],
+ *   "paths": ["alice"], "maxJobs": 5, "listOthers": false, "cancelOthers": false
+ * } } }
+ *
+ * @param {string} file - Path of the JSON file
+ * @returns {Array<Object>} Tokens with their name and permissions
+ */
+function loadTokenConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const tokens = config.tokens || config;
+
+  if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+    throw new Error(`No tokens defined in ${file}`);
+  }
+
+  return Object.entries(tokens).map(([name, settings]) => {
+    if (!settings || typeof settings.token !== 'string' || !settings.token) {
+      throw new Error(`Token "${name}" in ${file} has no token`);
+    }
+
+    for (const list of ['networks', 'bots', 'paths']) {
+      if (settings[list] !== undefined && !Array.isArray(settings[list])) {
+        throw new Error(`Token "${name}" in ${file} needs a list of ${list}`);
+      }
+    }
+
+    return Object.assign({}, settings, { name });
+  });
+}
+
+/**
+ * Parse tokens with every permission
+ * @param {string} value - Comma separated name:token pairs, e.g. 'admin:s3cret,ci:t0ken'
+ * @returns {Array<Object>} Tokens with their name
+ * @throws {Error} If a pair can't be parsed
+ */
+function parseTokens(value) {
+  if (!value) return [];
+
+  return String(value).split(',').map(item => item.trim()).filter(Boolean).map((item) => {
+    const separator = item.indexOf(':');
+    if (separator < 1 || separator === item.length - 1) {
+      throw new Error('Invalid API token: expected name:token, got an entry without a name or token');
+    }
+
+    return {
+      name: item.slice(0, separator).trim(),
+      token: item.slice(separator + 1).trim(),
+      listOthers: true,
+      cancelOthers: true
+    };
+  });
+}
+
+/**
+ * Token checks for the TCP and HTTP APIs. Without any tokens configured
+ * every request is allowed, as before authentication existed.
+ * @class TokenAuth
+ */
+class TokenAuth {
+  /**
+   * Create a new token checker
+   * @param {Object} options - Checker options
+   * @param {DownloadManager} options.manager - Download manager whose jobs are checked
+   * @param {Array<Object>} [options.tokens=[]] - Tokens from loadTokenConfig() or parseTokens()
+   */
+  constructor(options) {
+    this.manager = options.manager;
+    this.tokens = new Map();
+
+    for (const settings of options.tokens || []) {
+      if (this.tokens.has(settings.name)) {
+        throw new Error(`API token "${settings.name}" is defined twice`);
+      }
+
+      this.tokens.set(settings.name, {
+        name: settings.name,
+        digest: digest(settings.token),
+        networks: settings.networks || null,
+        bots: settings.bots ? settings.bots.map(globToRegExp) : null,
+        paths: settings.paths || null,
+        maxJobs: settings.maxJobs || 0,
+        listOthers: Boolean(settings.listOthers),
+        cancelOthers: Boolean(settings.cancelOthers)
+      });
+    }
+  }
+
+  /**
+   * Whether requests need a token
+   * @returns {boolean} True if tokens are configured
+   */
+  get enabled() {
+    return this.tokens.size > 0;
+  }
+
+  /**
+   * Find the token a request was made with
+   * @param {string} [token] - Token sent by the client
+   * @returns {Object|null} The token's permissions, null if authentication is disabled
+   * @throws {AuthError} If the token is missing or unknown
+   */
+  authenticate(token) {
+    if (!this.enabled) return null;
+
+    if (!token) {
+      throw new AuthError('UNAUTHORIZED', 'Missing API token');
+    }
+
+    // Compare digests, so neither the length nor the content of a token leaks through timing
+    const sent = digest(String(token));
+    for (const principal of this.tokens.values()) {
+      if (crypto.timingSafeEqual(sent, principal.digest)) {
+        return principal;
+      }
+    }
+    throw new AuthError('UNAUTHORIZED', 'Invalid API token');
+  }
+
+  /**
+   * Check a download request against a token's permissions
+   * @param {Object|null} principal - Token from authenticate()
+   * @param {Object} fields - Download fields as passed to DownloadManager.submit()
+   * @returns {Object} The fields with the job's owner and, if the token is
+   *   limited to certain directories and none was asked for, the first of them
+   * @throws {AuthError} If the token may not make this download
+   */
+  authorizeDownload(principal, fields) {
+    if (!principal) return fields;
+
+    const network = this.manager.networks.get(fields.network).name;
+    if (principal.networks && !principal.networks.includes(network)) {
+      throw new AuthError('FORBIDDEN', `Token ${principal.name} may not download from network ${network}`);
+    }
+
+    if (principal.bots && !principal.bots.some(pattern => pattern.test(String(fields.bot)))) {
+      throw new AuthError('FORBIDDEN', `Token ${principal.name} may not download from ${fields.bot}`);
+    }
+
+    let downloadPath = fields.downloadPath;
+    if (principal.paths) {
+      if (!downloadPath) {
+        downloadPath = principal.paths[0];
+      }
+
+      // Compare where the directories end up, not how they are spelled
+      const root = this.manager.root;
+      const directory = resolveDirectory(root, downloadPath);
+      const allowed = principal.paths.some(prefix => isInside(resolveDirectory(root, prefix), directory));
+      if (!allowed) {
+        throw new AuthError('FORBIDDEN', `Token ${principal.name} may not download to ${JSON.stringify(downloadPath)}`);
+      }
+    }
+
+    if (principal.maxJobs) {
+      const pending = this.manager.list()
+        .filter(job => job.owner === principal.name && this.manager.isPending(job))
+        .length;
+      if (pending >= principal.maxJobs) {
+        throw new AuthError('TOO_MANY_JOBS', `Token ${principal.name} already has ${pending} of ${principal.maxJobs} jobs queued or running`);
+      }
+    }
+
+    return Object.assign({}, fields, { downloadPath, owner: principal.name });
+  }
+
+  /**
+   * Whether a token may see a job
+   * @param {Object|null} principal - Token from authenticate()
+   * @param {Object} job - Job, or its description
+   * @returns {boolean} True for the token's own jobs, or all jobs if it may list others
+   */
+  canView(principal, job) {
+    return !principal || principal.listOthers || job.owner === principal.name;
+  }
+
+  /**
+   * Whether a token may see every job, and with them the per-bot and
+   * per-network figures of the metrics
+   * @param {Object|null} principal - Token from authenticate()
+   * @returns {boolean} True if the token may list others' jobs
+   */
+  canViewAll(principal) {
+    return !principal || principal.listOthers;
+  }
+
+  /**
+   * Whether a token may cancel a job
+   * @param {Object|null} principal - Token from authenticate()
+   * @param {Object} job - Job
+   * @returns {boolean} True for the token's own jobs, or all jobs if it may cancel others
+   */
+  canCancel(principal, job) {
+    return !principal || principal.cancelOthers || job.owner === principal.name;
+  }
+}
+
+/**
+ * Fixed length digest of a token
+ * @param {string} token - Token
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Turn a bot pattern into a case insensitive regular expression
+ * @param {string} pattern - Bot nickname, where * matches anything, e.g. 'MyBot|*'
+ * @returns {RegExp} Expression matching whole nicknames
+ */
+function globToRegExp(pattern) {
+  const source = String(pattern)
+    .split('*')
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+module.exports = { TokenAuth, AuthError, loadTokenConfig, parseTokens };
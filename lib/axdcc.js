@@ -2,7 +2,7 @@
  * XDCC Download Request Module
  *
  * This module handles XDCC download requests for IRC clients,
- * supporting resume functionality and progress tracking.
+ * supporting resume functionality, passive DCC and progress tracking.
  */
 
 'use strict';
@@ -12,6 +12,93 @@ const net = require('net');
 const fs = require('fs');
 const path = require('path');
 const { EventEmitter } = require('events');
+const { nextFreeName, stalePartialName, resolveFile } = require('./paths');
+const { expectedChecksums, parseInfoChecksum, verifyFile } = require('./verify');
+const { RateLimiter, lowestRate } = require('./ratelimit');
+
+// Seconds to wait in each phase before the transfer starts, 0 waits forever
+const DEFAULT_TIMEOUTS = {
+  send: 60, // For the bot's DCC SEND after our XDCC SEND
+  accept: 30, // For the bot's DCC ACCEPT after our DCC RESUME
+  connect: 30 // For the DCC connection, to the bot or from it in passive DCC
+};
+
+// Replies of iroffer, Eggdrop and similar bots, tried in order. Queue
+// confirmations can mention full slots, so they are recognised first. Only
+// whole refusal phrases count, as file names can contain any single word.
+const BOT_REPLIES = [
+  { type: 'queued', pattern: /queue.*?position\s*#?(\d+)(?:\s*(?:of|\/)\s*(\d+))?/i },
+  { type: 'queued', pattern: /already (?:requested|queued for) (?:that|this) pack/i },
+  { type: 'rejected', pattern: /invalid pack/i },
+  { type: 'rejected', pattern: /pack\s*(?:number\s*)?#?\d*\s*(?:not found|does ?n[o']t exist)/i },
+  { type: 'rejected', pattern: /XDCC (?:SEND|GET|BATCH) denied/i },
+  { type: 'rejected', pattern: /must be on a known channel/i },
+  { type: 'rejected', pattern: /\byou (?:are|were) not allowed to\b/i },
+  { type: 'limit', pattern: /only (?:have|get|request|queue) \d+ (?:transfers?|packs?|files?|items?)/i },
+  { type: 'limit', pattern: /(?:transfers?|downloads?|items?) (?:already )?(?:in progress|queued)/i },
+  { type: 'limit', pattern: /(?:queue|slots?)(?: of size \d+)? (?:is |are )?full/i },
+  { type: 'limit', pattern: /\b(?:over|exceeded|reached) (?:the |its |your )?(?:\w+ )?limit\b/i },
+  { type: 'limit', pattern: /\blimit (?:has been |was )?(?:reached|exceeded)\b/i },
+  { type: 'limit', pattern: /try again later/i }
+];
+
+// Bot lines that never answer our request, whatever words they contain: the
+// notice that a transfer starts and the lines of an XDCC INFO answer
+const IGNORED_REPLIES = /^\W*(?:sending you (?:pack|file)|pack info for|filename|sendname|filesize|last modified|md5sum|crc32|gets|minspeed|maxspeed|description|note)\b/i;
+
+/**
+ * Recognise what a bot's notice or message says about our request
+ * @param {string} text - Message text
+ * @returns {Object|null} Reply with its type ('queued', 'limit' or 'rejected'),
+ *   the queue position and length when known, and the message; null if not recognised
+ */
+function parseBotReply(text) {
+  if (IGNORED_REPLIES.test(text)) return null;
+
+  // Quoted file names, e.g. in queue confirmations, are not part of the reply
+  const wording = text.replace(/"[^"]*"/g, '""');
+
+  for (const reply of BOT_REPLIES) {
+    const match = wording.match(reply.pattern);
+    if (!match) continue;
+
+    const result = { type: reply.type, message: text.trim() };
+    if (reply.type === 'queued') {
+      result.position = match[1] ? parseInt(match[1], 10) : null;
+      result.total = match[2] ? parseInt(match[2], 10) : null;
+    }
+    return result;
+  }
+  return null;
+}
+
+// Bot notices naming the file of a pack: the start of a transfer and queue confirmations
+const ANNOUNCED_PACK = /(?:sending you|queue for) pack #?(\d+) \("([^"]+)"\)/i;
+
+// The Filename and Sendname lines of an XDCC INFO answer; iroffer offers the
+// file under its Sendname, which may differ from the Filename
+const INFO_FILENAME = /^\s*(?:Filename|Sendname)\s+(.+?)\s*$/i;
+
+/**
+ * Compare file names the way bots may have mangled them, e.g. spaces sent as underscores
+ * @param {string} filename - File name
+ * @returns {string} Name to compare
+ */
+function comparableName(filename) {
+  return String(filename).toLowerCase().replace(/\s/g, '_');
+}
+
+/**
+ * Create an error with a code clients and retry policies can act on
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} The error
+ */
+function dccError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
 
 /**
  * Request class for handling XDCC downloads
@@ -26,9 +113,25 @@ class Request extends EventEmitter {
    * @param {string} args.nick - Bot nickname
    * @param {string} args.pack - Pack number/id
    * @param {string} args.path - Download destination directory
+   * @param {string} [args.saveAs='{filename}'] - Name to save the file as, {filename} is replaced by the offered name
+   * @param {string} [args.collision='overwrite'] - What to do when the file already exists: 'overwrite' it,
+   *   'rename' the new one with a numeric suffix, 'skip' the download or 'fail' it
    * @param {boolean} [args.resume=true] - Whether to resume interrupted downloads
+   * @param {string} [args.resumeFallback='restart'] - What to do when the bot does not accept a resume:
+   *   'restart' moves the partial file aside and downloads from the start, 'fail' gives up
+   * @param {boolean} [args.verify=false] - Whether to check finished files against the CRC32 in their name
+   *   and the checksums of the bot's XDCC INFO answer
+   * @param {string} [args.onMismatch='keep'] - What to do with a file that fails verification: 'keep' it
+   *   and report the mismatch, or 'redownload' it by deleting it and failing with CHECKSUM_MISMATCH
+   * @param {number} [args.maxRate=0] - Most bytes per second for this transfer, 0 for no limit
+   * @param {Array<RateLimiter>} [args.rateLimiters=[]] - Limiters shared with other transfers, e.g. a global cap
+   * @param {Function} [args.checkSpace] - Called with (location, bytesNeeded, callback) before the transfer
+   *   starts; passing an error to the callback fails the request
    * @param {number} [args.progressInterval=1] - Progress update interval in seconds
    * @param {boolean} [args.verbose=false] - Whether to log detailed progress information
+   * @param {Array<number>} [args.passivePorts] - Lowest and highest port to listen on for passive DCC, any free port if not set
+   * @param {string} [args.passiveHost] - IPv4 address bots should connect to for passive DCC, defaults to the local address of the IRC connection
+   * @param {Object} [args.timeouts] - Seconds to wait for the bot's DCC SEND (send), DCC ACCEPT (accept) and the DCC connection (connect)
    */
   constructor(client, args) {
     super();
@@ -38,14 +141,44 @@ class Request extends EventEmitter {
     this.args = Object.assign({
       progressInterval: 1,
       resume: true,
+      resumeFallback: 'restart',
+      saveAs: '{filename}',
+      collision: 'overwrite',
+      verify: false,
+      onMismatch: 'keep',
       verbose: false
     }, args);
+    this.args.timeouts = Object.assign({}, DEFAULT_TIMEOUTS, this.args.timeouts);
 
     this.pack_info = {};
+    this.checksums = {};
+    this.limiters = (this.args.rateLimiters || []).slice();
+    if (this.args.maxRate) {
+      this.limiters.push(new RateLimiter({ rate: this.args.maxRate }));
+    }
     this.intervalId = null;
+    this.timeoutId = null;
+    this.throttleId = null;
     this.startTime = null;
     this.lastReceivedBytes = 0;
     this.handlerBound = false;
+    this.awaitingAccept = false;
+    this.offered = false;
+    this.withdrawn = false;
+    this.conn = null;
+    this.stream = null;
+    this.server = null;
+
+    // File names the bot announced for our pack and for other packs, so a
+    // late offer meant for an earlier request is not taken for ours
+    this.expectedFilenames = new Set();
+    this.otherFilenames = new Set();
+
+    // Bound once so the listeners can be removed from the client again
+    this._onCtcp = this._dccDownloadHandler.bind(this);
+    this._onNotice = (sender, target, text) => this._botMessageHandler(sender, target, text);
+    this._onPrivateMessage = (sender, text) => this._botMessageHandler(sender, this.client.nick, text);
+    this._onIrcError = this._ircErrorHandler.bind(this);
 
     // Start handler
     this.once('start', this._handleStart.bind(this));
@@ -53,6 +186,13 @@ class Request extends EventEmitter {
     // Set up cleanup handlers
     this.once('cancel', this._handleCancel.bind(this));
     this.on('kill', this._killRequest.bind(this));
+
+    // Unlike cancel, also works after the request failed, so the bot does
+    // not send the pack later on
+    this.on('withdraw', () => {
+      this._withdraw();
+      this._killRequest();
+    });
   }
 
   /**
@@ -64,12 +204,21 @@ class Request extends EventEmitter {
       console.log(`[XDCC] Requesting pack ${this.args.pack} from ${this.args.nick}`);
     }
 
+    // Ask for the pack's checksums first, bots answer in order
+    if (this.args.verify) {
+      this.client.say(this.args.nick, `XDCC INFO ${this.args.pack}`);
+    }
+
     // Request the file from the XDCC bot
     this.client.say(this.args.nick, `XDCC SEND ${this.args.pack}`);
+    this._startTimeout('send', 'SEND_TIMEOUT', `${this.args.nick} did not offer pack ${this.args.pack}`);
 
-    // Listen for data from the XDCC bot
+    // Listen for data and replies from the XDCC bot
     if (!this.handlerBound) {
-      this.client.on('ctcp-privmsg', this._dccDownloadHandler.bind(this));
+      this.client.on('ctcp-privmsg', this._onCtcp);
+      this.client.on('notice', this._onNotice);
+      this.client.on('pm', this._onPrivateMessage);
+      this.client.on('error', this._onIrcError);
       this.handlerBound = true;
     }
   }
@@ -87,8 +236,120 @@ class Request extends EventEmitter {
       console.log(`[XDCC] Canceling download from ${this.args.nick}`);
     }
 
-    // Cancel the pack
-    this.client.say(this.args.nick, 'XDCC CANCEL');
+    this._withdraw();
+    this._killRequest();
+  }
+
+  /**
+   * Tell the bot to drop our request: cancel the transfer it offered or
+   * started, or remove the request from its queue. Only sent once.
+   * @private
+   */
+  _withdraw() {
+    if (this.withdrawn) return;
+    this.withdrawn = true;
+
+    if (this.offered) {
+      this.client.say(this.args.nick, 'XDCC CANCEL');
+    } else {
+      this.client.say(this.args.nick, `XDCC REMOVE ${String(this.args.pack).replace(/^#/, '')}`);
+    }
+  }
+
+  /**
+   * Remember which file the bot says belongs to which pack
+   * @param {string} text - Notice or message from the bot
+   * @private
+   */
+  _noteAnnouncedFile(text) {
+    const announced = text.match(ANNOUNCED_PACK);
+    if (announced) {
+      if (announced[1] === String(this.args.pack).replace(/^#/, '')) {
+        this.expectedFilenames.add(comparableName(announced[2]));
+      } else {
+        this.otherFilenames.add(comparableName(announced[2]));
+      }
+      return;
+    }
+
+    // Only our own XDCC INFO is answered before the offer
+    const info = this.args.verify && !this.offered ? text.match(INFO_FILENAME) : null;
+    if (info) {
+      this.expectedFilenames.add(comparableName(info[1]));
+    }
+  }
+
+  /**
+   * Whether an offered file can be the pack we asked for
+   * @param {string} filename - File name from the DCC SEND
+   * @returns {boolean} False if the bot named our pack's file otherwise, or said the file belongs to another pack
+   * @private
+   */
+  _isRequestedFile(filename) {
+    const name = comparableName(filename);
+    if (this.expectedFilenames.size) {
+      return this.expectedFilenames.has(name);
+    }
+    return !this.otherFilenames.has(name);
+  }
+
+  /**
+   * Handles notices and private messages from the bot, emitting 'queued'
+   * (with the queue position), 'limit' or 'rejected' for replies to our request
+   * @param {string} sender - Message sender
+   * @param {string} target - Message target
+   * @param {string} text - Message text
+   * @private
+   */
+  _botMessageHandler(sender, target, text) {
+    // Replies only matter until the transfer starts
+    if (this.finished || this.conn || !sender || !text) {
+      return;
+    }
+
+    if (sender.toLowerCase() !== this.args.nick.toLowerCase() || target !== this.client.nick) {
+      return;
+    }
+
+    this._noteAnnouncedFile(text);
+
+    // Checksums from the bot's answer to XDCC INFO
+    const checksum = this.args.verify ? parseInfoChecksum(text) : null;
+    if (checksum) {
+      this.checksums[checksum.type] = checksum.value;
+      return;
+    }
+
+    const reply = parseBotReply(text);
+    if (!reply) return;
+
+    // Waiting in the bot's queue can take much longer than any answer would
+    if (reply.type === 'queued' && !this.pack_info.filename) {
+      this._clearTimeout();
+    }
+
+    if (this.args.verbose) {
+      console.log(`[XDCC] ${this.args.nick} ${reply.type === 'queued' ? 'queued our request' : `refused our request (${reply.type})`}: ${reply.message}`);
+    }
+
+    this.emit(reply.type, reply);
+  }
+
+  /**
+   * Fails the request straight away when the server says the bot is not online
+   * @param {Object} error - IRC error message
+   * @private
+   */
+  _ircErrorHandler(error) {
+    if (this.finished || this.pack_info.filename || error.command !== 'err_nosuchnick') {
+      return;
+    }
+
+    if (!error.args || String(error.args[1]).toLowerCase() !== this.args.nick.toLowerCase()) {
+      return;
+    }
+
+    this.emit('dlerror', this.pack_info, dccError(`${this.args.nick} is not online`, 'BOT_OFFLINE'));
     this._killRequest();
   }
 
@@ -114,8 +375,8 @@ class Request extends EventEmitter {
     }
 
     // Parse the DCC message
-    // Format: DCC {command} ("|'){filename}("|') {ip} {port}( {filesize})
-    const parser = /DCC (\w+) "?'?(.+?)'?"? (\d+) (\d+)(?: (\d+))?/;
+    // Format: DCC {command} ("|'){filename}("|') {ip} {port}( {filesize})( {token})
+    const parser = /DCC (\w+) "?'?(.+?)'?"? (\d+) (\d+)(?: (\d+))?(?: (\S+))?\s*$/;
     const params = message.match(parser);
 
     if (!params) {
@@ -125,17 +386,36 @@ class Request extends EventEmitter {
 
     const command = params[1];
     const filename = params[2];
+
+    // Most likely the pack of an earlier request that failed or was abandoned
+    if (command === 'SEND' && !this._isRequestedFile(filename)) {
+      this.emit('warning', `Ignoring offer of ${filename} from ${this.args.nick}, it is not pack ${this.args.pack}`);
+      return;
+    }
+    if (command === 'SEND' && this.offered) {
+      this.emit('warning', `Ignoring another offer of ${filename} from ${this.args.nick}, the transfer is already set up`);
+      return;
+    }
+
+    // The timeouts are cleared only by the offer or resume answer they wait for
     const ip = this._intToIP(parseInt(params[3], 10));
     const port = parseInt(params[4], 10);
     const filesize = params[5] ? parseInt(params[5], 10) : 0;
 
+    // The passive DCC token is whatever comes last, not necessarily a number
+    const fields = params.slice(3).filter(field => field !== undefined);
+    const lastField = fields[fields.length - 1];
+
     switch (command) {
       case 'SEND':
-        this._handleDccSend(filename, ip, port, filesize);
+        // Bots behind NAT send port 0 and a token, and expect us to listen (passive DCC)
+        this._clearTimeout();
+        this._handleDccSend(filename, ip, port, filesize, port === 0 && fields.length > 3 ? lastField : undefined);
         break;
 
       case 'ACCEPT':
-        this._handleDccAccept(filename, port, parseInt(params[5], 10));
+        // Format: DCC ACCEPT {filename} {port} {position}( {token}), there is no IP field
+        this._handleDccAccept(filename, parseInt(params[3], 10), parseInt(params[4], 10), fields.length > 2 ? lastField : undefined);
         break;
 
       default:
@@ -149,20 +429,24 @@ class Request extends EventEmitter {
    * @param {string} ip - Server IP address
    * @param {number} port - Server port
    * @param {number} filesize - Size of the file
+   * @param {string} [token] - Passive DCC token, when the bot wants us to listen
    * @private
    */
-  _handleDccSend(filename, ip, port, filesize) {
+  _handleDccSend(filename, ip, port, filesize, token) {
+    this.offered = true;
     this.pack_info = {
       command: 'SEND',
       filename,
       ip,
       port,
       filesize,
-      resumepos: 0
+      resumepos: 0,
+      passive: Boolean(token),
+      token
     };
 
     if (this.args.verbose) {
-      console.log(`[XDCC] Preparing to download: ${filename} (${this._formatSize(filesize)})`);
+      console.log(`[XDCC] Preparing to download: ${filename} (${this._formatSize(filesize)})${token ? ' via passive DCC' : ''}`);
     }
 
     // Ensure the download directory exists
@@ -177,17 +461,35 @@ class Request extends EventEmitter {
           if (this.args.verbose) {
             console.log(`[XDCC] Created directory: ${downloadDir}`);
           }
-          checkForPartialFile();
+          this._preflight(filePath, filesize, checkForPartialFile);
         } catch (err) {
           this.emit('dlerror', this.pack_info, `Failed to create directory: ${err.message}`);
         }
       } else {
-        checkForPartialFile();
+        this._preflight(filePath, filesize, checkForPartialFile);
       }
     };
 
-    // Preserve the original filename and save it to the specified directory
-    const filePath = path.join(downloadDir, filename);
+    // The name comes from the bot, so it must not be able to leave the
+    // download directory. The original is kept for DCC RESUME, which has to
+    // repeat it exactly.
+    const name = this.args.saveAs.split('{filename}').join(filename);
+    let filePath;
+    try {
+      filePath = resolveFile(downloadDir, name);
+    } catch (err) {
+      err.code = 'INVALID_FILENAME';
+      this.emit('dlerror', this.pack_info, err);
+      this._killRequest();
+      return;
+    }
+
+    if (path.basename(filePath) !== name) {
+      this.emit('warning', `${this.args.nick} offered unsafe file name ${JSON.stringify(filename)}, saving it as ${path.basename(filePath)}`);
+    }
+
+    filePath = this._resolveCollision(filePath);
+    if (!filePath) return;
     this.pack_info.location = filePath;
 
     if (this.args.verbose) {
@@ -207,9 +509,19 @@ class Request extends EventEmitter {
             this.client.ctcp(
               this.args.nick,
               'privmsg',
-              `DCC RESUME ${this.pack_info.filename} ${this.pack_info.port} ${stats.size}`
+              `DCC RESUME ${this._quoteFilename(this.pack_info.filename)} ${this.pack_info.port} ${stats.size}` +
+              (this.pack_info.passive ? ` ${this.pack_info.token}` : '')
             );
             this.pack_info.resumepos = stats.size;
+            this.awaitingAccept = true;
+
+            // Many bots don't support resuming and never answer
+            this._startTimeout(
+              'accept',
+              'ACCEPT_TIMEOUT',
+              `${this.args.nick} did not accept resuming ${this.pack_info.filename}`,
+              this._resumeFailed.bind(this)
+            );
           } else {
             // Don't resume, delete partial file and start fresh
             fs.unlink(`${filePath}.part`, (err) => {
@@ -242,14 +554,26 @@ class Request extends EventEmitter {
    * @param {string} filename - File name
    * @param {number} port - Server port
    * @param {number} resumepos - Resume position
+   * @param {string} [token] - Passive DCC token
    * @private
    */
-  _handleDccAccept(filename, port, resumepos) {
+  _handleDccAccept(filename, port, resumepos, token) {
+    // Late answers, e.g. after we already gave up on resuming
+    if (!this.awaitingAccept) {
+      if (this.args.verbose) {
+        console.log(`[XDCC] Ignoring unexpected DCC ACCEPT for ${filename}`);
+      }
+      return;
+    }
+    this.awaitingAccept = false;
+    this._clearTimeout();
+
     // Verify the accept message matches our request
     if (
       this.pack_info.filename === filename &&
       this.pack_info.port === port &&
-      this.pack_info.resumepos === resumepos
+      this.pack_info.resumepos === resumepos &&
+      (!this.pack_info.passive || String(this.pack_info.token) === String(token))
     ) {
       if (this.args.verbose) {
         console.log(`[XDCC] Resume accepted, continuing download from ${this._formatSize(resumepos)}`);
@@ -258,8 +582,54 @@ class Request extends EventEmitter {
       this.pack_info.command = 'ACCEPT';
       this._download(this.pack_info);
     } else {
-      this.emit('dlerror', this.pack_info, 'DCC ACCEPT parameters mismatch');
+      this._resumeFailed(dccError(
+        `${this.args.nick} answered our resume of ${this.pack_info.filename} at ${this.pack_info.resumepos} with ${filename} at ${resumepos}`,
+        'RESUME_MISMATCH'
+      ));
+    }
+  }
+
+  /**
+   * Handles a bot that did not accept our resume, following the resume
+   * fallback: either start over, emitting 'restart', or fail the request
+   * @param {Error} error - Why resuming failed
+   * @private
+   */
+  _resumeFailed(error) {
+    this.awaitingAccept = false;
+
+    if (this.args.resumeFallback !== 'restart') {
+      if (this.args.verbose) {
+        console.log(`[XDCC] ${error.message}, giving up`);
+      }
+      this.emit('dlerror', this.pack_info, error);
+      this._killRequest();
+      return;
     }
+
+    // Keep the old data around in case it is still useful, next to any kept by earlier restarts
+    const pack = this.pack_info;
+    const stalePath = stalePartialName(pack.location);
+
+    fs.rename(`${pack.location}.part`, stalePath, (err) => {
+      if (this.finished) return;
+
+      if (err) {
+        this.emit('dlerror', pack, `Failed to move partial file aside: ${err.message}`);
+        this._killRequest();
+        return;
+      }
+
+      if (this.args.verbose) {
+        console.log(`[XDCC] ${error.message}, downloading from the start (old partial file moved to ${stalePath})`);
+      }
+
+      pack.resumepos = 0;
+      pack.restarted = true;
+      pack.stalePath = stalePath;
+      this.emit('restart', pack, error);
+      this._download(pack);
+    });
   }
 
   /**
@@ -272,146 +642,455 @@ class Request extends EventEmitter {
 
     // Create write stream to store data
     const stream = fs.createWriteStream(`${pack.location}.part`, { flags: 'a' });
+    this.stream = stream;
 
     stream.on('open', () => {
-      const sendBuffer = Buffer.alloc(4);
-      let received = pack.resumepos;
-      let ack = pack.resumepos;
-
       this.startTime = Date.now();
-      this.lastReceivedBytes = received;
+      this.lastReceivedBytes = pack.resumepos;
 
-      // Connect to the bot
-      const conn = net.connect({ port: pack.port, host: pack.ip }, () => {
-        this.emit('connect', pack);
+      if (pack.passive) {
+        // Wait for the bot to connect to us
+        this._listen(pack, stream);
+      } else {
+        // Connect to the bot
+        this._startTimeout('connect', 'CONNECT_TIMEOUT', `Could not connect to ${this.args.nick} at ${pack.ip}:${pack.port}`);
+        this._receive(net.connect({ port: pack.port, host: pack.ip }), pack, stream);
+      }
+    });
 
-        if (this.args.verbose) {
-          console.log(`[XDCC] Connected to ${pack.ip}:${pack.port}`);
-        }
+    // Handle file stream errors
+    stream.on('error', (error) => {
+      if (this.finished) return;
 
-        // Set up progress reporting
-        this.intervalId = setInterval(() => {
-          if (!this.finished) {
-            this._logProgress(pack, received);
-            this.emit('progress', pack, received);
-          }
-        }, this.args.progressInterval * 1000);
-      });
+      stream.end();
+      if (this.args.verbose) {
+        console.log(`\n[XDCC] File error: ${error.message}`);
+      }
+      this.emit('dlerror', pack, error);
+      this._killRequest();
+    });
+  }
 
-      // Handle incoming data
-      conn.on('data', (data) => {
-        if (this.finished) return;
+  /**
+   * Open a listener for passive DCC and tell the bot where to connect
+   * @param {Object} pack - Pack information
+   * @param {fs.WriteStream} stream - Stream of the partial file
+   * @private
+   */
+  _listen(pack, stream) {
+    const localAddress = this.client.conn && this.client.conn.localAddress;
+    const host = this.args.passiveHost || (localAddress && localAddress.replace(/^::ffff:/, ''));
+    if (!host || !net.isIPv4(host)) {
+      stream.end();
+      this.emit('dlerror', pack, `Cannot offer passive DCC without an IPv4 address to advertise (got ${host})`);
+      this._killRequest();
+      return;
+    }
 
-        received += data.length;
+    const server = net.createServer();
+    this.server = server;
 
-        // Support for large files (>4GB)
-        ack += data.length;
-        while (ack > 0xFFFFFFFF) {
-          ack -= 0xFFFFFFFF + 1;
+    this._startTimeout('connect', 'CONNECT_TIMEOUT', `${this.args.nick} did not connect to us`);
+
+    server.once('connection', (conn) => {
+      server.close();
+      this.server = null;
+      this._receive(conn, pack, stream);
+    });
+
+    server.once('listening', () => {
+      const port = server.address().port;
+
+      if (this.args.verbose) {
+        console.log(`[XDCC] Waiting for ${this.args.nick} to connect to ${host}:${port}`);
+      }
+
+      this.client.ctcp(
+        this.args.nick,
+        'privmsg',
+        `DCC SEND ${this._quoteFilename(pack.filename)} ${this._ipToInt(host)} ${port} ${pack.filesize} ${pack.token}`
+      );
+    });
+
+    // Walk the configured range until a free port is found
+    const range = this.args.passivePorts;
+    let port = range ? range[0] : 0;
+
+    server.on('error', (error) => {
+      if (error.code === 'EADDRINUSE' && range && port < range[1]) {
+        server.listen(++port);
+        return;
+      }
+
+      if (this.finished) return;
+
+      stream.end();
+      this.emit('dlerror', pack, `Failed to listen for passive DCC: ${error.message}`);
+      this._killRequest();
+    });
+
+    server.listen(port);
+  }
+
+  /**
+   * Receive the file over an established or connecting DCC connection,
+   * acknowledging every chunk
+   * @param {net.Socket} conn - Connection to the bot
+   * @param {Object} pack - Pack information
+   * @param {fs.WriteStream} stream - Stream of the partial file
+   * @private
+   */
+  _receive(conn, pack, stream) {
+    const sendBuffer = Buffer.alloc(4);
+    let received = pack.resumepos;
+    let ack = pack.resumepos;
+    // Whether reading is paused until the disk caught up with the stream
+    let draining = false;
+
+    this.conn = conn;
+
+    const onConnect = () => {
+      this._clearTimeout();
+      this.emit('connect', pack);
+
+      if (this.args.verbose) {
+        console.log(`[XDCC] Connected to ${conn.remoteAddress}:${conn.remotePort}`);
+      }
+
+      // Set up progress reporting
+      this.intervalId = setInterval(() => {
+        if (!this.finished) {
+          this._logProgress(pack, received);
+          this.emit('progress', pack, received);
         }
+      }, this.args.progressInterval * 1000);
+    };
 
-        sendBuffer.writeUInt32BE(ack, 0);
-        conn.write(sendBuffer);
+    if (conn.connecting) {
+      conn.once('connect', onConnect);
+    } else {
+      onConnect();
+    }
 
-        stream.write(data);
-      });
+    // Handle incoming data
+    conn.on('data', (data) => {
+      if (this.finished) return;
 
-      // Handle connection end
-      conn.on('end', () => {
-        // Close the write stream
-        const closeStream = () => {
-          stream.end(() => {
-            if (this.args.verbose) {
-              console.log(`[XDCC] Stream closed`);
-            }
-          });
-        };
-
-        closeStream();
-
-        // Connection closed
-        if (received === pack.filesize) {
-          // Download complete, rename from .part to final name
-          fs.rename(`${pack.location}.part`, pack.location, (err) => {
-            if (err) {
-              this.emit('dlerror', pack, `Failed to rename file: ${err.message}`);
-              conn.destroy();
-              this._killRequest();
-            } else {
-              if (this.args.verbose) {
-                // Log final stats
-                const elapsedTime = (Date.now() - this.startTime) / 1000;
-                const averageSpeed = (received / elapsedTime);
-                console.log(`\n[XDCC] Download complete: ${pack.filename}`);
-                console.log(`[XDCC] Size: ${this._formatSize(received)}`);
-                console.log(`[XDCC] Time: ${this._formatTime(elapsedTime)}`);
-                console.log(`[XDCC] Average Speed: ${this._formatSpeed(averageSpeed)}`);
-                console.log(`[XDCC] Saved to: ${pack.location}`);
-              }
+      received += data.length;
 
-              // Emit completion event before cleanup
-              this.emit('complete', pack);
-              conn.destroy();
-              this._killRequest();
-            }
-          });
-        } else if (received !== pack.filesize && !this.finished) {
-          // Download incomplete
-          if (this.args.verbose) {
-            console.log(`\n[XDCC] Download incomplete: ${this._formatSize(received)}/${this._formatSize(pack.filesize)}`);
-          }
-          this.emit('dlerror', pack, 'Server unexpectedly closed connection');
-          conn.destroy();
-          this._killRequest();
-        } else if (received !== pack.filesize && this.finished) {
-          // Download aborted
+      // Support for large files (>4GB)
+      ack += data.length;
+      while (ack > 0xFFFFFFFF) {
+        ack -= 0xFFFFFFFF + 1;
+      }
+
+      sendBuffer.writeUInt32BE(ack, 0);
+      conn.write(sendBuffer);
+
+      // Stop reading while the disk is behind, rather than holding the rest of the file in memory
+      if (!stream.write(data) && !draining) {
+        draining = true;
+        conn.pause();
+        stream.once('drain', () => {
+          draining = false;
+          if (!this.finished && !this.throttleId) conn.resume();
+        });
+      }
+
+      // Stop reading while over the limit, so the bot has to slow down
+      // instead of us buffering what it sends
+      const wait = Math.max(0, ...this.limiters.map(limiter => limiter.consume(data.length)));
+      if (wait > 0 && !this.throttleId) {
+        conn.pause();
+        this.throttleId = setTimeout(() => {
+          this.throttleId = null;
+          if (!this.finished && !draining) conn.resume();
+        }, wait);
+      }
+    });
+
+    // Handle connection end
+    conn.on('end', () => {
+      // Connection closed
+      if (received === pack.filesize) {
+        // The file may only be moved and verified once everything is flushed to it
+        stream.end(() => {
           if (this.args.verbose) {
-            console.log(`\n[XDCC] Download canceled: ${this._formatSize(received)}/${this._formatSize(pack.filesize)}`);
+            console.log(`[XDCC] Stream closed`);
           }
-          this.emit('dlerror', pack, 'Server closed connection, download canceled');
-          conn.destroy();
-          this._killRequest();
+          // A write that failed meanwhile was already reported
+          if (!this.finished) this._finish(conn, pack, received);
+        });
+        return;
+      }
+
+      stream.end();
+      if (!this.finished) {
+        // Download incomplete
+        if (this.args.verbose) {
+          console.log(`\n[XDCC] Download incomplete: ${this._formatSize(received)}/${this._formatSize(pack.filesize)}`);
         }
-      });
+        this.emit('dlerror', pack, dccError('Server unexpectedly closed connection', 'CONNECTION_CLOSED'));
+        conn.destroy();
+        this._killRequest();
+      } else {
+        // Download aborted
+        if (this.args.verbose) {
+          console.log(`\n[XDCC] Download canceled: ${this._formatSize(received)}/${this._formatSize(pack.filesize)}`);
+        }
+        this.emit('dlerror', pack, dccError('Server closed connection, download canceled', 'CONNECTION_CLOSED'));
+        conn.destroy();
+        this._killRequest();
+      }
+    });
 
-      // Handle connection errors
-      conn.on('error', (error) => {
-        if (this.finished) return;
+    // Handle connection errors
+    conn.on('error', (error) => {
+      if (this.finished) return;
+
+      stream.end();
+      if (this.args.verbose) {
+        console.log(`\n[XDCC] Connection error: ${error.message}`);
+      }
+      this.emit('dlerror', pack, error);
+      conn.destroy();
+      this._killRequest();
+    });
+
+    // Set connection timeout
+    conn.setTimeout(60000, () => {
+      // Not reading because of a rate limit or a slow disk doesn't mean the bot stalled
+      if (this.finished || this.throttleId || draining) return;
+
+      stream.end();
+      if (this.args.verbose) {
+        console.log(`\n[XDCC] Connection timed out`);
+      }
+      this.emit('dlerror', pack, dccError('Connection timed out', 'TRANSFER_TIMEOUT'));
+      conn.destroy();
+      this._killRequest();
+    });
+  }
+
+  /**
+   * Move a complete file to its final name, verify it and report it
+   * @param {net.Socket} conn - Connection to the bot
+   * @param {Object} pack - Pack information
+   * @param {number} received - Bytes received
+   * @private
+   */
+  _finish(conn, pack, received) {
+    const partPath = `${pack.location}.part`;
+
+    // Another download may have saved a file of the same name meanwhile,
+    // keep both rather than throwing either away
+    if (this.args.collision !== 'overwrite' && fs.existsSync(pack.location)) {
+      const location = nextFreeName(pack.location);
+      this.emit('warning', `${pack.location} appeared during the download, saving ${pack.filename} as ${path.basename(location)}`);
+      pack.location = location;
+    }
 
-        stream.end();
+    // Download complete, rename from .part to final name
+    fs.rename(partPath, pack.location, (err) => {
+      if (err) {
+        this.emit('dlerror', pack, `Failed to rename file: ${err.message}`);
+        conn.destroy();
+        this._killRequest();
+      } else {
         if (this.args.verbose) {
-          console.log(`\n[XDCC] Connection error: ${error.message}`);
+          // Log final stats
+          const elapsedTime = (Date.now() - this.startTime) / 1000;
+          const averageSpeed = (received / elapsedTime);
+          console.log(`\n[XDCC] Download complete: ${pack.filename}`);
+          console.log(`[XDCC] Size: ${this._formatSize(received)}`);
+          console.log(`[XDCC] Time: ${this._formatTime(elapsedTime)}`);
+          console.log(`[XDCC] Average Speed: ${this._formatSpeed(averageSpeed)}`);
+          console.log(`[XDCC] Saved to: ${pack.location}`);
         }
-        this.emit('dlerror', pack, error);
         conn.destroy();
+
+        this._verify(pack, () => {
+          // Emit completion event before cleanup
+          this.emit('complete', pack);
+          this._killRequest();
+        });
+      }
+    });
+  }
+
+  /**
+   * Check a finished file against the checksums published for it and record
+   * the result in pack.verification
+   * @param {Object} pack - Pack information
+   * @param {Function} callback - Called when the file can be reported as complete
+   * @private
+   */
+  _verify(pack, callback) {
+    if (!this.args.verify) {
+      callback();
+      return;
+    }
+
+    const checksums = expectedChecksums(pack.filename, this.checksums);
+    verifyFile(pack.location, checksums, (err, result) => {
+      if (this.finished) return;
+
+      if (err) {
+        this.emit('warning', `Could not verify ${pack.location}: ${err.message}`);
+        result = { status: 'unverifiable', checksums };
+      }
+      pack.verification = result;
+
+      if (this.args.verbose) {
+        console.log(`[XDCC] Verification: ${result.status}`);
+      }
+
+      if (result.status !== 'mismatch' || this.args.onMismatch !== 'redownload') {
+        callback();
+        return;
+      }
+
+      const mismatches = result.checksums
+        .filter(checksum => checksum.actual !== checksum.expected)
+        .map(checksum => `${checksum.type} from ${checksum.source} is ${checksum.actual}, expected ${checksum.expected}`);
+
+      // A corrupt file must not be mistaken for a finished one by the next attempt
+      fs.unlink(pack.location, (unlinkErr) => {
+        if (unlinkErr) {
+          this.emit('warning', `Could not delete ${pack.location}: ${unlinkErr.message}`);
+        }
+        if (this.finished) return;
+
+        const outcome = unlinkErr ? 'failed verification' : 'failed verification and was deleted';
+        this.emit('dlerror', pack, dccError(`${pack.filename} ${outcome}: ${mismatches.join('; ')}`, 'CHECKSUM_MISMATCH'));
         this._killRequest();
       });
+    });
+  }
+
+  /**
+   * Make sure there is room for the file before asking the bot for it
+   * @param {string} location - Where the file will be saved
+   * @param {number} filesize - Size of the file
+   * @param {Function} next - Called if the file fits
+   * @private
+   */
+  _preflight(location, filesize, next) {
+    if (!this.args.checkSpace) {
+      next();
+      return;
+    }
 
-      // Set connection timeout
-      conn.setTimeout(60000, () => {
+    // Only what is not in the partial file yet has to fit
+    fs.stat(`${location}.part`, (err, stats) => {
+      if (this.finished) return;
+
+      const partial = !err && stats.isFile() && this.args.resume ? stats.size : 0;
+      this.args.checkSpace(location, Math.max(0, filesize - partial), (spaceErr) => {
         if (this.finished) return;
 
-        stream.end();
-        if (this.args.verbose) {
-          console.log(`\n[XDCC] Connection timed out`);
+        if (spaceErr) {
+          if (this.args.verbose) {
+            console.log(`[XDCC] ${spaceErr.message}`);
+          }
+          // We won't download the file, so free the bot's slot
+          this._withdraw();
+          this.emit('dlerror', this.pack_info, spaceErr);
+          this._killRequest();
+          return;
         }
-        this.emit('dlerror', pack, 'Connection timed out');
-        conn.destroy();
-        this._killRequest();
+        next();
       });
     });
+  }
 
-    // Handle file stream errors
-    stream.on('error', (error) => {
+  /**
+   * The tightest rate limit currently applying to this transfer
+   * @returns {number} Bytes per second, 0 for no limit
+   */
+  currentRate() {
+    return lowestRate(this.limiters.map(limiter => limiter.currentRate()));
+  }
+
+  /**
+   * Apply the collision policy to the file a bot offered
+   * @param {string} location - Where the file would be saved
+   * @returns {string|null} Where to save it, or null if the request is over
+   * @private
+   */
+  _resolveCollision(location) {
+    if (this.args.collision === 'overwrite' || !fs.existsSync(location)) {
+      return location;
+    }
+
+    if (this.args.collision === 'rename') {
+      const renamed = nextFreeName(location);
+      if (this.args.verbose) {
+        console.log(`[XDCC] ${location} already exists, saving as ${renamed}`);
+      }
+      return renamed;
+    }
+
+    // We won't download the file, so free the bot's slot
+    this.client.say(this.args.nick, 'XDCC CANCEL');
+    this.pack_info.location = location;
+
+    if (this.args.collision === 'skip') {
+      if (this.args.verbose) {
+        console.log(`[XDCC] ${location} already exists, skipping the download`);
+      }
+      this.pack_info.skipped = true;
+      this.emit('complete', this.pack_info);
+    } else {
+      this.emit('dlerror', this.pack_info, dccError(`${location} already exists`, 'FILE_EXISTS'));
+    }
+
+    this._killRequest();
+    return null;
+  }
+
+  /**
+   * Fail the request unless the bot moves on before a phase's timeout
+   * @param {string} phase - 'send', 'accept' or 'connect'
+   * @param {string} code - Error code reported with the dlerror event
+   * @param {string} message - What the bot failed to do
+   * @param {Function} [onTimeout] - Handles the timeout error instead of failing the request
+   * @private
+   */
+  _startTimeout(phase, code, message, onTimeout) {
+    this._clearTimeout();
+
+    const seconds = this.args.timeouts[phase];
+    if (!seconds) return;
+
+    this.timeoutId = setTimeout(() => {
+      this.timeoutId = null;
       if (this.finished) return;
 
-      stream.end();
+      const error = dccError(`${message} within ${seconds}s`, code);
+
+      if (onTimeout) {
+        onTimeout(error);
+        return;
+      }
+
       if (this.args.verbose) {
-        console.log(`\n[XDCC] File error: ${error.message}`);
+        console.log(`[XDCC] ${error.message}`);
       }
-      this.emit('dlerror', pack, error);
+      this.emit('dlerror', this.pack_info, error);
       this._killRequest();
-    });
+    }, seconds * 1000);
+  }
+
+  /**
+   * Stop the timer of the current phase
+   * @private
+   */
+  _clearTimeout() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
   }
 
   /**
@@ -453,7 +1132,8 @@ class Request extends EventEmitter {
       `${this._formatSize(received)}/${this._formatSize(pack.filesize)} | ` +
       `${this._formatSpeed(currentSpeed)} | ` +
       `ETA: ${this._formatTime(etaSeconds)} | ` +
-      `Elapsed: ${this._formatTime(elapsedSeconds)}`
+      `Elapsed: ${this._formatTime(elapsedSeconds)}` +
+      (this.currentRate() ? ` | Limit: ${this._formatSpeed(this.currentRate())}` : '')
     );
   }
 
@@ -471,11 +1151,34 @@ class Request extends EventEmitter {
       this.intervalId = null;
     }
 
+    this._clearTimeout();
+
+    if (this.throttleId) {
+      clearTimeout(this.throttleId);
+      this.throttleId = null;
+    }
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+
     if (this.handlerBound) {
-      this.client.removeListener('ctcp-privmsg', this._dccDownloadHandler);
+      this.client.removeListener('ctcp-privmsg', this._onCtcp);
+      this.client.removeListener('notice', this._onNotice);
+      this.client.removeListener('pm', this._onPrivateMessage);
+      this.client.removeListener('error', this._onIrcError);
       this.handlerBound = false;
     }
 
+    // Tear down a transfer that is still running, e.g. after a cancel
+    if (this.conn && !this.conn.destroyed) {
+      this.conn.destroy();
+    }
+    if (this.stream && !this.stream.writableEnded) {
+      this.stream.end();
+    }
+
     // Set a short delay before removing listeners to ensure any pending events are processed
     setTimeout(() => {
       this.removeAllListeners();
@@ -500,6 +1203,26 @@ class Request extends EventEmitter {
     return octets.join('.');
   }
 
+  /**
+   * Converts a dotted decimal IP address to an integer
+   * @param {string} ip - Dotted decimal IP address
+   * @returns {number} Integer representation of the IP
+   * @private
+   */
+  _ipToInt(ip) {
+    return ip.split('.').reduce((n, octet) => n * 256 + parseInt(octet, 10), 0);
+  }
+
+  /**
+   * Quote a filename for a DCC message if it contains spaces
+   * @param {string} filename - File name
+   * @returns {string} File name as sent to the bot
+   * @private
+   */
+  _quoteFilename(filename) {
+    return /\s/.test(filename) ? `"${filename}"` : filename;
+  }
+
   /**
    * Format file size into human-readable string
    * @param {number} bytes - Size in bytes
@@ -546,4 +1269,4 @@ class Request extends EventEmitter {
   }
 }
 
-module.exports = { Request };
\ No newline at end of file
+module.exports = { Request, parseBotReply };
\ No newline at end of file
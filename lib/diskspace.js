@@ -0,0 +1,145 @@
+/**
+ * Disk Space Module
+ *
+ * This module finds out how much room downloads still have: the free space
+ * of the volume they are written to, and what is left of the quota of their
+ * download directory.
+ */
+
+'use strict';
+
+// Get dependencies
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { parseBytes } = require('./units');
+
+/**
+ * Parse a size in bytes
+ * @param {string|number} value - Size, e.g. 1073741824, '500G' or '2T'
+ * @returns {number} Bytes
+ * @throws {Error} If the size can't be parsed
+ */
+function parseSize(value) {
+  const bytes = parseBytes(value);
+  if (bytes === null) {
+    throw new Error(`Invalid size: ${value}. Expected bytes, e.g. 1073741824, 500G or 2T`);
+  }
+  return bytes;
+}
+
+/**
+ * Parse quotas of download directories
+ * @param {string} value - Comma separated quotas, e.g. 'movies=500G,tv/anime=1T'.
+ *   '/' stands for the whole download directory
+ * @returns {Array<Object>} Quotas with the directory relative to the download root and the limit in bytes
+ * @throws {Error} If a quota can't be parsed
+ */
+function parseQuotas(value) {
+  if (!value) return [];
+
+  return String(value).split(',').map(item => item.trim()).filter(Boolean).map((item) => {
+    const separator = item.lastIndexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid quota: ${item}. Expected directory=size`);
+    }
+
+    return {
+      path: item.slice(0, separator).trim().replace(/^[\/\\]+|[\/\\]+$/g, ''),
+      limit: parseSize(item.slice(separator + 1))
+    };
+  });
+}
+
+/**
+ * Find out how much space the volume holding a directory has
+ * @param {string} directory - Directory on the volume
+ * @param {Function} callback - Called with (err, {free, total}) in bytes
+ */
+function volumeSpace(directory, callback) {
+  // Available from Node 18.15, before that ask df
+  if (typeof fs.statfs === 'function') {
+    fs.statfs(directory, (err, stats) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      callback(null, { free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize });
+    });
+    return;
+  }
+
+  execFile('df', ['-Pk', directory], (err, stdout) => {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    // Filesystem 1024-blocks Used Available Capacity Mounted on
+    const fields = String(stdout).trim().split('\n').pop().trim().split(/\s+/);
+    const total = parseInt(fields[1], 10) * 1024;
+    const free = parseInt(fields[3], 10) * 1024;
+
+    if (isNaN(total) || isNaN(free)) {
+      callback(new Error(`Unexpected output of df: ${stdout}`));
+      return;
+    }
+    callback(null, { free, total });
+  });
+}
+
+/**
+ * Add up the sizes of all files below a directory, without following symlinks
+ * @param {string} directory - Directory
+ * @param {Function} callback - Called with (err, bytes); a missing directory has 0 bytes
+ */
+function directorySize(directory, callback) {
+  fs.readdir(directory, { withFileTypes: true }, (err, entries) => {
+    if (err) {
+      callback(err.code === 'ENOENT' ? null : err, 0);
+      return;
+    }
+
+    let total = 0;
+    let pending = entries.length;
+    let failed = false;
+
+    if (pending === 0) {
+      callback(null, 0);
+      return;
+    }
+
+    const add = (entryErr, bytes) => {
+      if (failed) return;
+      if (entryErr) {
+        failed = true;
+        callback(entryErr);
+        return;
+      }
+
+      total += bytes;
+      if (--pending === 0) callback(null, total);
+    };
+
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+
+      if (entry.isDirectory()) {
+        directorySize(entryPath, add);
+      } else if (entry.isFile()) {
+        fs.lstat(entryPath, (statErr, stats) => {
+          // Files may disappear while we are counting, e.g. renamed .part files
+          if (statErr && statErr.code === 'ENOENT') {
+            add(null, 0);
+            return;
+          }
+          add(statErr, stats ? stats.size : 0);
+        });
+      } else {
+        add(null, 0);
+      }
+    }
+  });
+}
+
+module.exports = { parseSize, parseQuotas, volumeSpace, directorySize };
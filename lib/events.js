@@ -0,0 +1,214 @@
+/**
+ * Event Stream Module
+ *
+ * This module broadcasts the lifecycle events of every download job to any
+ * number of watchers, over Server-Sent Events and WebSocket connections.
+ */
+
+'use strict';
+
+// Get dependencies
+const { WebSocketServer, WebSocket } = require('ws');
+
+// Interval between keep-alive messages, so proxies don't drop idle streams
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Broadcaster for download lifecycle events
+ * @class EventStream
+ */
+class EventStream {
+  /**
+   * Create a new event stream
+   * @param {Object} options - Stream options
+   * @param {DownloadManager} options.manager - Download manager to follow
+   * @param {Object} options.logger - Logger with info/warn/error/debug methods
+   * @param {TokenAuth} [options.auth] - Token checks limiting watchers to the jobs their token may see
+   */
+  constructor(options) {
+    this.manager = options.manager;
+    this.logger = options.logger;
+    this.auth = options.auth || null;
+
+    // Connected watchers, each with an optional job filter
+    this.clients = new Set();
+    this.wss = new WebSocketServer({ noServer: true });
+
+    this._followManager();
+
+    this.heartbeatId = setInterval(this._heartbeat.bind(this), HEARTBEAT_INTERVAL);
+    this.heartbeatId.unref();
+  }
+
+  /**
+   * Serve an SSE stream on an HTTP request
+   * @param {http.IncomingMessage} req - Request, with the principal of its token
+   * @param {http.ServerResponse} res - Response
+   */
+  handleSse(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const client = {
+      type: 'sse',
+      jobId: req.query ? req.query.get('job') : null,
+      principal: req.principal || null,
+      send: (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      },
+      ping: () => res.write(': ping\n\n'),
+      close: () => res.end()
+    };
+
+    this._addClient(client, req);
+    req.on('close', () => this._removeClient(client));
+  }
+
+  /**
+   * Upgrade an HTTP request to a WebSocket stream
+   * @param {http.IncomingMessage} req - Upgrade request, with the principal of its token
+   * @param {net.Socket} socket - Underlying socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   */
+  handleUpgrade(req, socket, head) {
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      const url = new URL(req.url, 'http://localhost');
+      const client = {
+        type: 'websocket',
+        jobId: url.searchParams.get('job'),
+        principal: req.principal || null,
+        send: (event, data) => {
+          if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ event, data }));
+          }
+        },
+        ping: () => ws.ping(),
+        close: () => ws.close(1001, 'Server shutting down')
+      };
+
+      this._addClient(client, req);
+      ws.on('close', () => this._removeClient(client));
+      ws.on('error', (err) => {
+        this.logger.debug(`WebSocket error: ${err.message}`);
+        this._removeClient(client);
+      });
+    });
+  }
+
+  /**
+   * Send an event to every watcher interested in the job
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload, including its job_id
+   */
+  broadcast(event, data) {
+    for (const client of this.clients) {
+      if (client.jobId && client.jobId !== data.job_id) continue;
+      if (!this._canView(client, data)) continue;
+
+      try {
+        client.send(event, data);
+      } catch (err) {
+        this.logger.debug(`Failed to send ${event} event to ${client.type} watcher: ${err.message}`);
+        this._removeClient(client);
+      }
+    }
+  }
+
+  /**
+   * Disconnect all watchers
+   */
+  close() {
+    clearInterval(this.heartbeatId);
+    for (const client of this.clients) {
+      client.close();
+    }
+    this.clients.clear();
+    this.wss.close();
+  }
+
+  /**
+   * Translate download manager events into stream events
+   * @private
+   */
+  _followManager() {
+    const describe = job => this.manager.describe(job);
+
+    this.manager
+      .on('queued', job => this.broadcast('queued', describe(job)))
+      .on('connect', job => this.broadcast('connect', describe(job)))
+      .on('progress', (job, pack, received) => {
+        this.broadcast('progress', Object.assign(describe(job), {
+          received,
+          progress: Math.floor((received / pack.filesize) * 100)
+        }));
+      })
+      .on('botqueued', job => this.broadcast('botqueued', describe(job)))
+      .on('restarting', job => this.broadcast('restarting', describe(job)))
+      .on('retrying', job => this.broadcast('retrying', describe(job)))
+      .on('unavailable', job => this.broadcast('irc_unavailable', describe(job)))
+      .on('postprocess', job => this.broadcast('postprocess', describe(job)))
+      .on('complete', job => this.broadcast('complete', describe(job)))
+      .on('failed', job => this.broadcast(job.reason || 'dlerror', describe(job)))
+      .on('cancelled', job => this.broadcast('cancelled', describe(job)));
+  }
+
+  /**
+   * Register a watcher and send it the jobs that are currently pending
+   * @param {Object} client - Watcher
+   * @param {http.IncomingMessage} req - Request that opened the stream
+   * @private
+   */
+  _addClient(client, req) {
+    this.clients.add(client);
+    this.logger.info(`Event stream (${client.type}) opened by ${req.socket.remoteAddress}${client.jobId ? ` for job ${client.jobId}` : ''}`);
+
+    const jobs = this.manager.list()
+      .filter(job => client.jobId ? job.id === client.jobId : this.manager.isPending(job))
+      .filter(job => this._canView(client, job))
+      .map(job => this.manager.describe(job));
+
+    client.send('snapshot', { downloads: jobs });
+  }
+
+  /**
+   * Whether a watcher's token may see a job
+   * @param {Object} client - Watcher
+   * @param {Object} job - Job, or its description
+   * @returns {boolean} True if the job may be sent to the watcher
+   * @private
+   */
+  _canView(client, job) {
+    return !this.auth || this.auth.canView(client.principal, job);
+  }
+
+  /**
+   * Forget a watcher
+   * @param {Object} client - Watcher
+   * @private
+   */
+  _removeClient(client) {
+    if (this.clients.delete(client)) {
+      this.logger.debug(`Event stream (${client.type}) closed`);
+    }
+  }
+
+  /**
+   * Keep idle streams alive
+   * @private
+   */
+  _heartbeat() {
+    for (const client of this.clients) {
+      try {
+        client.ping();
+      } catch (err) {
+        this._removeClient(client);
+      }
+    }
+  }
+}
+
+module.exports = { EventStream };
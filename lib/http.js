@@ -0,0 +1,436 @@
+/**
+ * HTTP API Module
+ *
+ * This module exposes the download manager over a small JSON REST API,
+ * next to the raw TCP socket API.
+ */
+
+'use strict';
+
+// Get dependencies
+const http = require('http');
+const https = require('https');
+const { AuthError } = require('./auth');
+const { NetworkUnavailableError } = require('./networks');
+
+// Largest request body we accept, same guard as the TCP API
+const MAX_BODY_SIZE = 10000;
+
+// HTTP status of each kind of token error
+const AUTH_STATUS = {
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  TOO_MANY_JOBS: 429
+};
+
+/**
+ * Error carrying the HTTP status to answer with
+ * @class HttpError
+ * @extends Error
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code
+   * @param {string} message - Error message
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * REST API for the download manager
+ * @class HttpApi
+ */
+class HttpApi {
+  /**
+   * Create a new HTTP API
+   * @param {Object} options - API options
+   * @param {DownloadManager} options.manager - Download manager shared with the TCP API
+   * @param {Object} options.logger - Logger with info/warn/error/debug methods
+   * @param {TokenAuth} [options.auth] - Token checks, every request is allowed without
+   * @param {Object} [options.tls] - Options for https.createServer(), serves plain HTTP without
+   * @param {EventStream} [options.events] - Event stream served on /events
+   * @param {Metrics} [options.metrics] - Metrics served on /metrics
+   */
+  constructor(options) {
+    this.manager = options.manager;
+    this.logger = options.logger;
+    this.auth = options.auth || null;
+    this.events = options.events || null;
+    this.metrics = options.metrics || null;
+
+    // Routes are matched in order; named groups become request params
+    this.routes = [
+      { method: 'POST', pattern: /^\/downloads\/?$/, handler: this._createDownload },
+      { method: 'GET', pattern: /^\/downloads\/?$/, handler: this._listDownloads },
+      { method: 'GET', pattern: /^\/downloads\/(?<id>[^/]+)\/?$/, handler: this._getDownload },
+      { method: 'DELETE', pattern: /^\/downloads\/(?<id>[^/]+)\/?$/, handler: this._cancelDownload },
+      { method: 'GET', pattern: /^\/storage\/?$/, handler: this._getStorage },
+      { method: 'GET', pattern: /^\/events\/?$/, handler: this._streamEvents },
+      { method: 'GET', pattern: /^\/metrics\/?$/, handler: this._getMetrics }
+    ];
+
+    this.server = options.tls
+      ? https.createServer(options.tls, this._handle.bind(this))
+      : http.createServer(this._handle.bind(this));
+    this.server.on('upgrade', this._handleUpgrade.bind(this));
+  }
+
+  /**
+   * Start listening for HTTP requests
+   * @param {number} port - Port to listen on
+   * @param {string} host - Host to bind to
+   * @param {Function} [callback] - Called once the server is listening
+   * @returns {http.Server} The underlying server
+   */
+  listen(port, host, callback) {
+    return this.server.listen(port, host, callback);
+  }
+
+  /**
+   * Stop accepting HTTP requests
+   * @param {Function} [callback] - Called once the server is closed
+   */
+  close(callback) {
+    this.server.close(callback);
+  }
+
+  /**
+   * Dispatch an incoming request to its route
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @private
+   */
+  _handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const matching = this.routes.filter(route => route.pattern.test(url.pathname));
+
+    this.logger.debug(`HTTP ${req.method} ${url.pathname} from ${req.socket.remoteAddress}`);
+
+    if (matching.length === 0) {
+      this._sendError(res, new HttpError(404, `Not found: ${url.pathname}`));
+      return;
+    }
+
+    const route = matching.find(candidate => candidate.method === req.method);
+    if (!route) {
+      res.setHeader('Allow', matching.map(candidate => candidate.method).join(', '));
+      this._sendError(res, new HttpError(405, `Method ${req.method} not allowed`));
+      return;
+    }
+
+    req.params = url.pathname.match(route.pattern).groups || {};
+    req.query = url.searchParams;
+
+    try {
+      req.principal = this._authenticate(req, url);
+    } catch (err) {
+      this._sendError(res, err);
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => route.handler.call(this, req, res))
+      .catch(err => this._sendError(res, err));
+  }
+
+  /**
+   * Accept WebSocket connections on /events
+   * @param {http.IncomingMessage} req - Upgrade request
+   * @param {net.Socket} socket - Underlying socket
+   * @param {Buffer} head - First packet of the upgraded stream
+   * @private
+   */
+  _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (!this.events || !/^\/events\/?$/.test(url.pathname)) {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    try {
+      req.principal = this._authenticate(req, url);
+    } catch (err) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    this.events.handleUpgrade(req, socket, head);
+  }
+
+  /**
+   * POST /downloads - queue a new download
+   * @private
+   */
+  async _createDownload(req, res) {
+    const body = await this._readJson(req);
+    const { bot_name, pack_number, download_path, network, channel, resume_policy, collision_policy, path_template, verify, callback_url, max_rate } = body;
+
+    let job;
+    try {
+      job = this.manager.submit(this._authorizeDownload(req.principal, {
+        network,
+        channel,
+        resumePolicy: resume_policy,
+        collisionPolicy: collision_policy,
+        template: path_template,
+        verify,
+        callbackUrl: callback_url,
+        maxRate: max_rate,
+        bot: bot_name,
+        pack: pack_number,
+        downloadPath: download_path
+      }));
+    } catch (err) {
+      if (err instanceof AuthError || err instanceof NetworkUnavailableError) throw err;
+      throw new HttpError(400, err.message);
+    }
+
+    this.logger.info(`Received HTTP request for bot ${bot_name} on ${job.network}, pack #${pack_number}${download_path ? ', custom path: ' + download_path : ''}${job.owner ? ` from token ${job.owner}` : ''}`);
+
+    // Accepted, but nothing happens until the network is reconnected
+    if (this.manager.networks.get(job.network).isUnavailable()) {
+      this._sendJson(res, 202, Object.assign({ status: 'irc_unavailable' }, this.manager.describe(job)));
+      return;
+    }
+    this._sendJson(res, 201, this.manager.describe(job));
+  }
+
+  /**
+   * GET /downloads - list all known jobs
+   * @private
+   */
+  _listDownloads(req, res) {
+    const state = req.query.get('state');
+    const network = req.query.get('network');
+    const jobs = this.manager.list()
+      .filter(job => !this.auth || this.auth.canView(req.principal, job))
+      .filter(job => !state || job.status === state)
+      .filter(job => !network || job.network === network)
+      .map(job => this.manager.describe(job));
+
+    this._sendJson(res, 200, { downloads: jobs });
+  }
+
+  /**
+   * GET /downloads/:id - describe one job
+   * @private
+   */
+  _getDownload(req, res) {
+    this._sendJson(res, 200, this.manager.describe(this._findJob(req.params.id, req.principal)));
+  }
+
+  /**
+   * DELETE /downloads/:id - cancel a queued or running job, ?delete_partial=true
+   * also removes the .part file
+   * @private
+   */
+  _cancelDownload(req, res) {
+    const job = this._findJob(req.params.id, req.principal);
+    if (this.auth && !this.auth.canCancel(req.principal, job)) {
+      throw new AuthError('FORBIDDEN', `Token ${req.principal.name} may not cancel job ${job.id}`);
+    }
+
+    const deletePartial = req.query.get('delete_partial') === 'true';
+
+    if (!this.manager.cancel(job.id, { deletePartial })) {
+      throw new HttpError(409, `Job ${job.id} is already ${job.status}`);
+    }
+
+    this._sendJson(res, 200, this.manager.describe(job));
+  }
+
+  /**
+   * GET /storage - free space of the download volume and usage of the quotas
+   * @private
+   */
+  async _getStorage(req, res) {
+    const storage = await new Promise((resolve, reject) => {
+      this.manager.storage((err, result) => (err ? reject(err) : resolve(result)));
+    });
+
+    this._sendJson(res, 200, storage);
+  }
+
+  /**
+   * GET /events - follow job lifecycle events as Server-Sent Events
+   * @private
+   */
+  _streamEvents(req, res) {
+    if (!this.events) {
+      throw new HttpError(404, 'Event stream is not enabled');
+    }
+
+    this.events.handleSse(req, res);
+  }
+
+  /**
+   * GET /metrics - counters and gauges in the Prometheus text format
+   * @private
+   */
+  _getMetrics(req, res) {
+    if (!this.metrics) {
+      throw new HttpError(404, 'Metrics are not enabled');
+    }
+    if (this.auth && !this.auth.canViewAll(req.principal)) {
+      throw new AuthError('FORBIDDEN', `Token ${req.principal.name} may not read metrics without listOthers`);
+    }
+
+    const body = this.metrics.render();
+    res.writeHead(200, {
+      'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  /**
+   * Find the token a request was made with, sent as a bearer token or in ?token=
+   * for clients that can't set headers, such as EventSource
+   * @param {http.IncomingMessage} req - Request
+   * @param {URL} url - Parsed request URL
+   * @returns {Object|null} The token's permissions, null if authentication is disabled
+   * @throws {AuthError} If the token is missing or unknown
+   * @private
+   */
+  _authenticate(req, url) {
+    if (!this.auth) return null;
+
+    const header = req.headers.authorization || '';
+    const bearer = header.match(/^Bearer\s+(\S+)$/i);
+    return this.auth.authenticate(bearer ? bearer[1] : url.searchParams.get('token'));
+  }
+
+  /**
+   * Check a download against the permissions of the request's token
+   * @param {Object|null} principal - Token from _authenticate()
+   * @param {Object} fields - Download fields
+   * @returns {Object} Fields to submit
+   * @private
+   */
+  _authorizeDownload(principal, fields) {
+    return this.auth ? this.auth.authorizeDownload(principal, fields) : fields;
+  }
+
+  /**
+   * Look up a job or fail with 404, also for jobs the request's token may not see
+   * @param {string} id - Job ID
+   * @param {Object|null} principal - Token from _authenticate()
+   * @returns {Object} The job
+   * @private
+   */
+  _findJob(id, principal) {
+    const job = this.manager.get(id);
+    if (!job || (this.auth && !this.auth.canView(principal, job))) {
+      throw new HttpError(404, `Unknown job: ${id}`);
+    }
+    return job;
+  }
+
+  /**
+   * Read and parse a JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<Object>} Parsed body
+   * @private
+   */
+  _readJson(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+
+      req.setEncoding('utf8');
+      req.on('data', (chunk) => {
+        data += chunk;
+        if (data.length > MAX_BODY_SIZE) {
+          reject(new HttpError(413, 'Request too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        try {
+          const body = data ? JSON.parse(data) : {};
+          if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw new Error('Expected a JSON object');
+          }
+          resolve(body);
+        } catch (err) {
+          reject(new HttpError(400, `Invalid request: ${err.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} data - Response body
+   * @private
+   */
+  _sendJson(res, statusCode, data) {
+    const body = JSON.stringify(data);
+
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(body)
+    });
+    res.end(body);
+  }
+
+  /**
+   * Send an error response
+   * @param {http.ServerResponse} res - Response
+   * @param {Error} err - What went wrong
+   * @private
+   */
+  _sendError(res, err) {
+    if (err instanceof NetworkUnavailableError) {
+      this._sendUnavailable(res, err);
+      return;
+    }
+
+    const statusCode = err.statusCode || (err instanceof AuthError && AUTH_STATUS[err.code]) || 500;
+
+    if (statusCode >= 500) {
+      this.logger.error(`HTTP API error: ${err.stack || err.message}`);
+    }
+
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    if (statusCode === 401) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+    }
+
+    this._sendJson(res, statusCode, err instanceof AuthError
+      ? { status: 'error', code: err.code, message: err.message }
+      : { status: 'error', message: err.message });
+  }
+
+  /**
+   * Turn a download away while its network is reconnecting
+   * @param {http.ServerResponse} res - Response
+   * @param {NetworkUnavailableError} err - Error naming the network
+   * @private
+   */
+  _sendUnavailable(res, err) {
+    if (err.retryAt) {
+      res.setHeader('Retry-After', String(Math.max(1, Math.ceil((err.retryAt - Date.now()) / 1000))));
+    }
+
+    this._sendJson(res, 503, {
+      status: 'irc_unavailable',
+      code: err.code,
+      message: err.message,
+      network: err.network,
+      retry_at: err.retryAt ? new Date(err.retryAt).toISOString() : null
+    });
+  }
+}
+
+module.exports = { HttpApi, HttpError };
@@ -0,0 +1,1054 @@
+/**
+ * Download Manager Module
+ *
+ * This module owns the download queue and the running XDCC requests. Every
+ * client API (TCP, HTTP) submits, inspects and cancels jobs through a single
+ * manager, and follows their lifecycle through the events it emits.
+ */
+
+'use strict';
+
+// Get dependencies
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const axdcc = require('./axdcc');
+const { PENDING_STATES } = require('./queue');
+const { Pipeline } = require('./postprocess');
+const { checkWebhookUrl } = require('./webhooks');
+const { RateLimiter, parseRate, lowestRate } = require('./ratelimit');
+const { volumeSpace, directorySize } = require('./diskspace');
+const { NetworkUnavailableError } = require('./networks');
+const {
+  PathError,
+  isInside,
+  realPath,
+  resolveDirectory,
+  parseTemplate,
+  expandTemplate
+} = require('./paths');
+
+// Failures worth another attempt: dropped or stalled connections, bots that
+// did not answer in time, bot limits that clear up after a while and
+// corrupt files when they are to be downloaded again
+const RETRYABLE_ERRORS = [
+  'CHECKSUM_MISMATCH',
+  'CONNECTION_CLOSED',
+  'TRANSFER_TIMEOUT',
+  'SEND_TIMEOUT',
+  'CONNECT_TIMEOUT',
+  'BOT_LIMIT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'EHOSTUNREACH',
+  'ENETUNREACH'
+];
+
+// Failures after which the bot holds nothing of ours to cancel: it is offline or refused the request
+const NOTHING_TO_WITHDRAW = ['BOT_OFFLINE', 'BOT_REJECTED', 'BOT_LIMIT'];
+
+// What to do when a bot does not accept resuming a partial file
+const RESUME_POLICIES = ['restart', 'fail'];
+
+// What to do when the file a bot offers already exists
+const COLLISION_POLICIES = ['rename', 'overwrite', 'skip', 'fail'];
+
+/**
+ * Manager that runs queued jobs as XDCC requests
+ * @class DownloadManager
+ * @extends EventEmitter
+ */
+class DownloadManager extends EventEmitter {
+  /**
+   * Create a new download manager
+   * @param {Object} options - Manager options
+   * @param {NetworkPool} options.networks - IRC networks downloads are requested on
+   * @param {DownloadQueue} options.queue - Queue holding the jobs
+   * @param {Object} options.logger - Logger with info/warn/error/debug/progress methods
+   * @param {string} options.root - Base directory for all downloads
+   * @param {number} [options.progressInterval=1] - Progress update interval in seconds
+   * @param {Object} [options.passive] - Passive DCC settings
+   * @param {Array<number>} [options.passive.ports] - Port range to listen on
+   * @param {string} [options.passive.host] - IPv4 address advertised to bots
+   * @param {Object} [options.timeouts] - Seconds to wait for each phase before a transfer starts
+   * @param {string} [options.resumePolicy='restart'] - Default for bots that don't accept a resume, 'restart' or 'fail'
+   * @param {string} [options.collisionPolicy='rename'] - Default for files that already exist: 'rename', 'overwrite', 'skip' or 'fail'
+   * @param {string} [options.template='{filename}'] - Default destination template below the download directory
+   * @param {Object} [options.verify] - Checksum verification of finished files
+   * @param {boolean} [options.verify.enabled=false] - Whether to verify files unless a request says otherwise
+   * @param {string} [options.verify.onMismatch='keep'] - 'keep' corrupt files or 'redownload' them
+   * @param {Array<Object>} [options.postprocess=[]] - Post-processing steps run for every completed download
+   * @param {Object} [options.rateLimit] - Cap on the bytes per second of all transfers together
+   * @param {number} [options.rateLimit.rate=0] - Bytes per second, 0 for no limit
+   * @param {Array<Object>} [options.rateLimit.schedule=[]] - Time-of-day windows with their own limit
+   * @param {Array<Object>} [options.quotas=[]] - Most bytes stored below download directories,
+   *   each with its path relative to the download root and its limit
+   * @param {string} [options.unavailablePolicy='queue'] - 'queue' new downloads while their network
+   *   is reconnecting, or 'reject' them
+   * @param {Object} [options.retry] - Retry policy for failed transfers
+   * @param {number} [options.retry.attempts=3] - Retries before a job fails, 0 disables retrying
+   * @param {number} [options.retry.delay=30] - Seconds before the first retry, doubled for every further one
+   * @param {number} [options.retry.maxDelay=600] - Longest wait between two attempts in seconds
+   * @param {Array<string>} [options.retry.errors] - Error codes worth retrying
+   */
+  constructor(options) {
+    super();
+
+    this.networks = options.networks;
+    this.queue = options.queue;
+    this.logger = options.logger;
+    this.root = options.root;
+    this.progressInterval = options.progressInterval || 1;
+    this.passive = options.passive || {};
+    this.timeouts = options.timeouts || {};
+    this.resumePolicy = options.resumePolicy || 'restart';
+    this.collisionPolicy = options.collisionPolicy || 'rename';
+    this.unavailablePolicy = options.unavailablePolicy || 'queue';
+    this.template = options.template || '{filename}';
+    this.verify = Object.assign({
+      enabled: false,
+      onMismatch: 'keep'
+    }, options.verify);
+    this.postprocess = options.postprocess || [];
+
+    // Shared by all transfers
+    this.limiter = new RateLimiter(options.rateLimit);
+
+    this.quotas = (options.quotas || []).map(quota => ({
+      path: quota.path,
+      directory: path.resolve(this.root, quota.path),
+      limit: quota.limit
+    }));
+    this.retry = Object.assign({
+      attempts: 3,
+      delay: 30,
+      maxDelay: 600,
+      errors: RETRYABLE_ERRORS
+    }, options.retry);
+    if (!this.retry.errors) this.retry.errors = RETRYABLE_ERRORS;
+
+    // Timers waking the queue up when a retry is due, keyed by job ID
+    this.retryTimers = new Map();
+
+    // Active downloads tracking, keyed by job ID
+    this.activeDownloads = new Map();
+
+    this.queue.on('run', this._run.bind(this));
+    this.queue.on('queued', job => this.emit('queued', job));
+
+    // Jobs only run once their network is connected, their channel can be
+    // joined and, after a failure, their next attempt is due
+    this.queue.canRun = (job) => {
+      const network = this.networks.get(job.network);
+      return network.isReady() && network.canJoin(job.channel) &&
+        !(job.retryAt > Date.now());
+    };
+    this.networks.on('ready', () => this.queue.schedule());
+    this.networks.on('release', () => this.queue.schedule());
+    this.networks.on('disconnected', network => this._onNetworkLost(network));
+  }
+
+  /**
+   * Load jobs left over from the previous run. They start once the manager is started.
+   * @returns {Array<Object>} Jobs that still need to run
+   */
+  restore() {
+    const pending = this.queue.restore();
+
+    for (const job of this.list()) {
+      // Jobs stored before networks were configurable belong to the default network
+      if (!job.network) {
+        job.network = this.networks.defaultName;
+      }
+    }
+
+    return pending.filter((job) => {
+      if (this.networks.has(job.network)) return true;
+
+      this.queue.finish(job.id, 'failed', { error: `Network ${job.network} is no longer configured` });
+      return false;
+    });
+  }
+
+  /**
+   * Start running queued jobs, connecting the networks they need
+   */
+  start() {
+    for (const job of this.list()) {
+      if (!this.isPending(job)) continue;
+
+      this._ensureNetwork(job);
+      if (job.retryAt > Date.now()) this._wakeUpAt(job);
+    }
+    this.queue.start();
+  }
+
+  /**
+   * Queue a new download
+   * @param {Object} fields - Download details
+   * @param {string} fields.bot - Bot nickname
+   * @param {string|number} fields.pack - Pack number
+   * @param {string} [fields.downloadPath] - Directory relative to the download root
+   * @param {string} [fields.network] - IRC network the bot is on, defaults to the default network
+   * @param {string} [fields.channel] - Channel to join before requesting the pack
+   * @param {string} [fields.resumePolicy] - 'restart' or 'fail' when the bot does not accept a resume
+   * @param {string} [fields.collisionPolicy] - 'rename', 'overwrite', 'skip' or 'fail' when the file already exists
+   * @param {string} [fields.template] - Destination template below the download directory
+   * @param {boolean} [fields.verify] - Whether to verify the finished file, defaults to the manager's setting
+   * @param {string} [fields.callbackUrl] - URL notified about the job instead of the configured webhooks
+   * @param {string|number} [fields.maxRate] - Most bytes per second for this download, e.g. 524288 or '512K'
+   * @param {string} [fields.owner] - Name of the API token that asked for the download
+   * @returns {Object} The queued job
+   * @throws {NetworkUnavailableError} If the network is reconnecting and such downloads are rejected
+   */
+  submit(fields) {
+    if (!fields.bot || !fields.pack) {
+      throw new Error('Invalid request format. Required fields: bot_name, pack_number');
+    }
+
+    const network = this.networks.get(fields.network);
+    if (network.isUnavailable() && this.unavailablePolicy === 'reject') {
+      throw new NetworkUnavailableError(network);
+    }
+
+    const channel = normalizeChannel(fields.channel);
+    const resumePolicy = fields.resumePolicy || this.resumePolicy;
+
+    if (!RESUME_POLICIES.includes(resumePolicy)) {
+      throw new Error(`Invalid resume_policy: ${resumePolicy}. Expected one of ${RESUME_POLICIES.join(', ')}`);
+    }
+
+    const collisionPolicy = fields.collisionPolicy || this.collisionPolicy;
+    if (!COLLISION_POLICIES.includes(collisionPolicy)) {
+      throw new Error(`Invalid collision_policy: ${collisionPolicy}. Expected one of ${COLLISION_POLICIES.join(', ')}`);
+    }
+
+    const callbackUrl = fields.callbackUrl ? checkWebhookUrl(String(fields.callbackUrl)) : undefined;
+    const maxRate = parseRate(fields.maxRate);
+    const bot = String(fields.bot);
+    const pack = String(fields.pack).replace(/^#/, '');
+
+    // Everything but the file name is known now, so the directory is fixed
+    // for all attempts, even if they run on another day
+    const template = parseTemplate(fields.template || this.template);
+    const now = new Date();
+    const values = {
+      network: network.name,
+      channel: channel ? channel.replace(/^#/, '') : '',
+      bot,
+      pack,
+      yyyy: String(now.getFullYear()),
+      mm: String(now.getMonth() + 1).padStart(2, '0'),
+      dd: String(now.getDate()).padStart(2, '0')
+    };
+    const directory = [fields.downloadPath, expandTemplate(template.directory, values)]
+      .filter(Boolean)
+      .join('/');
+
+    const job = this.queue.add({
+      network: network.name,
+      channel,
+      resumePolicy,
+      collisionPolicy,
+      verify: typeof fields.verify === 'boolean' ? fields.verify : this.verify.enabled,
+      bot,
+      pack,
+      path: this.resolvePath(directory),
+      saveAs: expandTemplate(template.file, values),
+      customPath: fields.downloadPath,
+      callbackUrl,
+      maxRate,
+      owner: fields.owner
+    });
+
+    this._ensureNetwork(job);
+    return job;
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id - Job ID
+   * @returns {Object|undefined} The job, if known
+   */
+  get(id) {
+    return this.queue.get(id);
+  }
+
+  /**
+   * List all known jobs, oldest first
+   * @returns {Array<Object>} Jobs
+   */
+  list() {
+    return this.queue.list();
+  }
+
+  /**
+   * Whether a job still needs work
+   * @param {Object} job - Job
+   * @returns {boolean} True if the job is queued or running
+   */
+  isPending(job) {
+    return PENDING_STATES.includes(job.status);
+  }
+
+  /**
+   * Find a pending job for a bot and pack
+   * @param {string} bot - Bot nickname
+   * @param {string|number} pack - Pack number
+   * @param {string} [network] - Only match jobs on this network
+   * @param {Function} [filter] - Only match jobs it returns true for
+   * @returns {Object|undefined} The oldest matching job that is still queued or running
+   */
+  findPending(bot, pack, network, filter) {
+    const wantedBot = String(bot).toLowerCase();
+    const wantedPack = String(pack).replace(/^#/, '');
+    const wantedNetwork = network ? this.networks.get(network).name : null;
+
+    return this.list().find(job =>
+      this.isPending(job) && job.bot.toLowerCase() === wantedBot && job.pack === wantedPack &&
+      (!wantedNetwork || job.network === wantedNetwork) && (!filter || filter(job))
+    );
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @param {Object} [options] - Cancel options
+   * @param {boolean} [options.deletePartial=false] - Also delete the job's .part file
+   * @returns {Object|null} The cancelled job, or null if it was not pending
+   */
+  cancel(id, options = {}) {
+    const job = this.queue.get(id);
+    if (!job || !this.isPending(job)) return null;
+
+    // The bot may already have told us the filename even if the transfer has not started
+    const tracker = this.activeDownloads.get(id);
+    const location = (tracker && tracker.request.pack_info.location) || job.location;
+
+    this._clearRetry(id);
+
+    if (tracker) {
+      // Sends XDCC CANCEL to the bot and tears the transfer down, unless the
+      // pack was not requested yet because we are still joining the channel
+      tracker.request.emit(tracker.joining ? 'kill' : 'cancel');
+
+      if (tracker.pipeline) {
+        tracker.pipeline.cancel();
+      }
+    }
+    this._untrack(id);
+
+    const partialDeleted = options.deletePartial ? this._deletePartial(location) : false;
+
+    this.logger.info(`Cancelled job ${id}: pack #${job.pack} from ${job.bot}${partialDeleted ? ' (partial file deleted)' : ''}`);
+    this.queue.finish(id, 'cancelled', { partialDeleted });
+    this.emit('cancelled', job);
+
+    return job;
+  }
+
+  /**
+   * Public view of a job as sent to clients
+   * @param {Object} job - Job
+   * @returns {Object} Job description
+   */
+  describe(job) {
+    const tracker = this.activeDownloads.get(job.id);
+    const network = this.networks.has(job.network) ? this.networks.get(job.network) : null;
+    const received = job.status === 'completed' ? job.size : (tracker ? tracker.received : 0);
+
+    return {
+      job_id: job.id,
+      state: job.status,
+      network: job.network,
+      network_state: network ? network.state : null,
+      channel: job.channel || null,
+      bot_name: job.bot,
+      pack_number: job.pack,
+      filename: job.filename || null,
+      size: job.size || null,
+      received: received || 0,
+      progress: job.size ? Math.floor((received / job.size) * 100) : 0,
+      path: job.location || job.path,
+      bot_queue_position: job.botQueuePosition || null,
+      resume_policy: job.resumePolicy || this.resumePolicy,
+      resume: job.resume || null,
+      collision_policy: job.collisionPolicy || this.collisionPolicy,
+      skipped: Boolean(job.skipped),
+      verification: job.verification || null,
+      checksums: job.checksums || [],
+      postprocess: job.postprocess || null,
+      max_rate: job.maxRate || null,
+      rate_limit: this.rateLimit(job) || null,
+      attempts: (job.attempts || 0) + 1,
+      retry_at: job.status === 'queued' && job.retryAt ? new Date(job.retryAt).toISOString() : null,
+      error: job.error || null,
+      error_code: job.errorCode || null,
+      reason: job.reason || null,
+      owner: job.owner || null,
+      created_at: new Date(job.createdAt).toISOString(),
+      updated_at: new Date(job.updatedAt).toISOString()
+    };
+  }
+
+  /**
+   * Report the free space of the download volume and the usage of each quota
+   * @param {Function} callback - Called with (err, storage)
+   */
+  storage(callback) {
+    volumeSpace(this.root, (err, volume) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+
+      const storage = {
+        path: this.root,
+        free: volume.free,
+        total: volume.total,
+        reserved: this._reserved(null),
+        quotas: []
+      };
+
+      let pending = this.quotas.length;
+      if (pending === 0) {
+        callback(null, storage);
+        return;
+      }
+
+      this.quotas.forEach((quota, index) => {
+        directorySize(quota.directory, (sizeErr, used) => {
+          if (pending === 0) return;
+          if (sizeErr) {
+            pending = 0;
+            callback(sizeErr);
+            return;
+          }
+
+          const reserved = this._reserved(null, quota.directory);
+          storage.quotas[index] = {
+            path: quota.path || '/',
+            limit: quota.limit,
+            used,
+            reserved,
+            free: Math.max(0, quota.limit - used - reserved)
+          };
+
+          if (--pending === 0) callback(null, storage);
+        });
+      });
+    });
+  }
+
+  /**
+   * The rate limit a job's transfer is held to right now
+   * @param {Object} job - Job
+   * @returns {number} Bytes per second, 0 for no limit
+   */
+  rateLimit(job) {
+    return lowestRate([job.maxRate, this.limiter.currentRate()]);
+  }
+
+  /**
+   * Validate a client supplied directory and resolve it inside the download root
+   * @param {string} [userPath] - Directory relative to the download root
+   * @returns {string} Absolute download directory
+   * @throws {PathError} If the directory would end up outside the download root or can't be created
+   */
+  resolvePath(userPath) {
+    if (!userPath || typeof userPath !== 'string') {
+      return this.root;
+    }
+
+    // Traversal and unsafe characters are dropped rather than rejected
+    const fullPath = resolveDirectory(this.root, userPath);
+    const requested = userPath.split(/[\/\\]+/).filter(Boolean).join(path.sep);
+    if (path.relative(this.root, fullPath) !== requested) {
+      this.logger.warn(`Rewrote unsafe download path ${JSON.stringify(userPath)} to ${fullPath}`);
+    }
+
+    // A symlink below the root must not lead out of it
+    if (!isInside(realPath(this.root), realPath(fullPath))) {
+      throw new PathError(`Download path ${JSON.stringify(userPath)} resolves outside of ${this.root}`);
+    }
+
+    // Make sure the directory exists
+    try {
+      fs.mkdirSync(fullPath, { recursive: true });
+      this.logger.debug(`Created custom download path: ${fullPath}`);
+    } catch (err) {
+      // Falling back to the root would write outside the paths a token is limited to
+      this.logger.error(`Failed to create download directory ${fullPath}: ${err.message}`);
+      throw new PathError(`Could not create download path ${JSON.stringify(userPath)}: ${err.code || err.message}`);
+    }
+
+    return fullPath;
+  }
+
+  /**
+   * Delete the partial file of a download
+   * @param {string} [location] - Final location of the file
+   * @returns {boolean} True if a partial file was deleted
+   * @private
+   */
+  _deletePartial(location) {
+    if (!location) return false;
+
+    try {
+      fs.unlinkSync(`${location}.part`);
+      return true;
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        this.logger.error(`Failed to delete partial file ${location}.part: ${err.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Open the connection to a job's network if it was configured to connect lazily
+   * @param {Object} job - Job
+   * @private
+   */
+  _ensureNetwork(job) {
+    const network = this.networks.get(job.network);
+    if (network.state === 'disconnected') {
+      this.logger.info(`[${network.name}] Connecting for job ${job.id}`);
+      network.connect();
+    }
+  }
+
+  /**
+   * Start the transfer for a job the queue has scheduled
+   * @param {Object} job - Job to run
+   * @private
+   */
+  _run(job) {
+    this.logger.info(`Running job ${job.id}: pack #${job.pack} from ${job.bot} on ${job.network}${job.resumed ? ' (resuming after restart)' : ''}`);
+
+    // Create download request against the client of the job's network
+    const request = new axdcc.Request(this.networks.get(job.network).client, {
+      pack: '#' + job.pack,
+      nick: job.bot,
+      path: job.path,
+      resume: true, // Enable resume to handle interrupted downloads
+      resumeFallback: job.resumePolicy || this.resumePolicy,
+      saveAs: job.saveAs || '{filename}',
+      collision: job.collisionPolicy || this.collisionPolicy,
+      verify: job.verify === undefined ? this.verify.enabled : job.verify,
+      onMismatch: this.verify.onMismatch,
+      maxRate: job.maxRate,
+      rateLimiters: [this.limiter],
+      checkSpace: this._checkSpace.bind(this, job.id),
+      progressInterval: this.progressInterval,
+      passivePorts: this.passive.ports,
+      passiveHost: this.passive.host,
+      timeouts: this.timeouts,
+      verbose: true // Enable detailed progress logging
+    });
+
+    const tracker = {
+      request,
+      received: 0,
+      startTime: Date.now(),
+      joining: false
+    };
+    this.activeDownloads.set(job.id, tracker);
+
+    // Attach event handlers
+    request
+      .once('connect', this._onConnect.bind(this, job.id))
+      .on('progress', this._onProgress.bind(this, job.id))
+      .on('complete', this._onComplete.bind(this, job.id))
+      .on('dlerror', this._onError.bind(this, job.id))
+      .on('restart', this._onRestart.bind(this, job.id))
+      .on('warning', message => this.logger.warn(message))
+      .on('queued', this._onBotQueued.bind(this, job.id))
+      .on('limit', this._onRefused.bind(this, job.id, 'limit'))
+      .on('rejected', this._onRefused.bind(this, job.id, 'rejected'));
+
+    if (!job.channel) {
+      // Start the download
+      request.emit('start');
+      return;
+    }
+
+    // Many bots only serve users in their channel
+    tracker.joining = true;
+    this.networks.get(job.network).acquireChannel(job.channel, (err) => {
+      // The job may have been cancelled while we were joining
+      if (this.activeDownloads.get(job.id) !== tracker) return;
+
+      tracker.joining = false;
+      if (err) {
+        this._onError(job.id, null, err);
+        return;
+      }
+
+      // Start the download
+      request.emit('start');
+    });
+  }
+
+  /**
+   * Check that a file fits on the volume and into the quota of its directory,
+   * also leaving room for what other running transfers still have to write
+   * @param {string} jobId - Job ID
+   * @param {string} location - Where the file will be saved
+   * @param {number} needed - Bytes still to be written
+   * @param {Function} callback - Called with an INSUFFICIENT_SPACE error if the file does not fit
+   * @private
+   */
+  _checkSpace(jobId, location, needed, callback) {
+    const directory = path.dirname(location);
+    const insufficient = (message) => {
+      const err = new Error(message);
+      err.code = 'INSUFFICIENT_SPACE';
+      callback(err);
+    };
+
+    volumeSpace(directory, (err, volume) => {
+      if (err) {
+        // Not knowing is no reason to refuse the download
+        this.logger.warn(`Could not check the free space of ${directory}: ${err.message}`);
+      } else {
+        const reserved = this._reserved(jobId);
+        if (needed + reserved > volume.free) {
+          insufficient(`Not enough space for ${path.basename(location)}: needs ${formatSize(needed)}, ` +
+            `${formatSize(volume.free)} free${reserved ? ` of which ${formatSize(reserved)} are reserved for running downloads` : ''}`);
+          return;
+        }
+      }
+
+      // The innermost quota applies
+      const quota = this.quotas
+        .filter(candidate => isInside(candidate.directory, location))
+        .sort((a, b) => b.directory.length - a.directory.length)[0];
+      if (!quota) {
+        callback(null);
+        return;
+      }
+
+      directorySize(quota.directory, (sizeErr, used) => {
+        if (sizeErr) {
+          this.logger.warn(`Could not check the usage of ${quota.directory}: ${sizeErr.message}`);
+          callback(null);
+          return;
+        }
+
+        const reserved = this._reserved(jobId, quota.directory);
+        if (used + reserved + needed > quota.limit) {
+          insufficient(`${path.basename(location)} does not fit into the quota of ${quota.path || '/'}: ` +
+            `needs ${formatSize(needed)}, ${formatSize(Math.max(0, quota.limit - used - reserved))} of ${formatSize(quota.limit)} left`);
+          return;
+        }
+        callback(null);
+      });
+    });
+  }
+
+  /**
+   * Bytes that running transfers still have to write
+   * @param {string|null} exceptJobId - Job to leave out, e.g. the one being checked
+   * @param {string} [directory] - Only count transfers below this directory
+   * @returns {number} Bytes
+   * @private
+   */
+  _reserved(exceptJobId, directory) {
+    let reserved = 0;
+
+    for (const [jobId, tracker] of this.activeDownloads) {
+      const pack = tracker.request.pack_info;
+      if (jobId === exceptJobId || !pack.location || !pack.filesize) continue;
+      if (directory && !isInside(directory, pack.location)) continue;
+
+      reserved += Math.max(0, pack.filesize - Math.max(tracker.received, pack.resumepos || 0));
+    }
+    return reserved;
+  }
+
+  /**
+   * Stop tracking a job's transfer and free the channel it was using
+   * @param {string} jobId - Job ID
+   * @private
+   */
+  _untrack(jobId) {
+    const job = this.queue.get(jobId);
+    if (this.activeDownloads.delete(jobId) && job && job.channel) {
+      this.networks.get(job.network).releaseChannel(job.channel);
+    }
+  }
+
+  /**
+   * Handles the connection to the bot being established
+   * @param {string} jobId - Job ID
+   * @param {Object} pack - Pack information
+   * @private
+   */
+  _onConnect(jobId, pack) {
+    this.logger.info(`Starting download of ${pack.filename} (${formatSize(pack.filesize)})`);
+
+    this.queue.update(jobId, {
+      // The name we save under, which differs from the offered one if it was unsafe
+      filename: path.basename(pack.location),
+      size: pack.filesize,
+      location: pack.location,
+      resume: pack.restarted ? 'restarted' : (pack.resumepos > 0 ? 'resumed' : 'fresh')
+    });
+    this.emit('connect', this.queue.get(jobId), pack);
+  }
+
+  /**
+   * Handles a bot that did not accept resuming, so the download starts over
+   * @param {string} jobId - Job ID
+   * @param {Object} pack - Pack information
+   * @param {Error} reason - Why resuming failed
+   * @private
+   */
+  _onRestart(jobId, pack, reason) {
+    const job = this.queue.get(jobId);
+    if (!job || !this.activeDownloads.has(jobId)) return;
+
+    this.logger.warn(`Could not resume ${pack.filename}: ${reason.message}. Downloading it from the start, old partial file kept as ${pack.stalePath}`);
+    this.emit('restarting', job, pack, reason);
+  }
+
+  /**
+   * Handles a progress update for a transfer
+   * @param {string} jobId - Job ID
+   * @param {Object} pack - Pack information
+   * @param {number} received - Bytes received
+   * @private
+   */
+  _onProgress(jobId, pack, received) {
+    const tracker = this.activeDownloads.get(jobId);
+    if (!tracker) return;
+
+    const progressPercent = Math.floor((received / pack.filesize) * 100);
+
+    // Log progress in the server - this should now work better with Docker
+    this.logger.progress(`${progressPercent}% of ${pack.filename} (${formatSize(received)}/${formatSize(pack.filesize)})`);
+
+    tracker.received = received;
+    this.emit('progress', this.queue.get(jobId), pack, received);
+  }
+
+  /**
+   * Handles a finished transfer
+   * @param {string} jobId - Job ID
+   * @param {Object} pack - Pack information
+   * @private
+   */
+  _onComplete(jobId, pack) {
+    if (pack.skipped) {
+      this.logger.info(`Skipped download of ${pack.filename}, ${pack.location} already exists`);
+    } else {
+      this.logger.info(`Completed download of ${pack.filename} to ${pack.location}`);
+    }
+
+    // With 'redownload' the request deletes the file and fails with CHECKSUM_MISMATCH instead
+    const verification = pack.verification || null;
+    if (verification && verification.status === 'mismatch' && this.verify.onMismatch === 'keep') {
+      this.logger.warn(`${pack.location} does not match its checksums, keeping it anyway`);
+    }
+
+    const tracker = this.activeDownloads.get(jobId);
+    const fields = {
+      // Errors of earlier attempts no longer matter
+      error: null,
+      errorCode: null,
+      filename: path.basename(pack.location),
+      size: pack.filesize,
+      location: pack.location,
+      skipped: Boolean(pack.skipped),
+      verification: verification ? verification.status : null,
+      checksums: verification ? verification.checksums : []
+    };
+
+    if (!tracker || pack.skipped || !this.postprocess.length) {
+      this._completed(jobId, pack, fields);
+      return;
+    }
+
+    // The job stays active until its file is post-processed
+    this.queue.update(jobId, Object.assign(fields, { postprocess: { status: 'running', steps: [] } }));
+    const job = this.queue.get(jobId);
+    const pipeline = new Pipeline(this.postprocess, job);
+    tracker.pipeline = pipeline;
+
+    pipeline.on('step', (result, index) => {
+      const message = `Post-processing step ${index + 1} (${result.type}) for ${job.filename}: ${result.status}${result.error ? `, ${result.error}` : ''}`;
+      if (result.status === 'failed') {
+        this.logger.error(message);
+      } else {
+        this.logger.info(message);
+      }
+
+      this.queue.update(jobId, { postprocess: { status: 'running', steps: pipeline.results.slice() } });
+      this.emit('postprocess', job, result, index);
+    });
+
+    pipeline.run((result) => {
+      // The job may have been cancelled meanwhile
+      if (this.activeDownloads.get(jobId) !== tracker) return;
+
+      this._completed(jobId, pack, {
+        filename: path.basename(pipeline.location),
+        location: pipeline.location,
+        postprocess: result
+      });
+    });
+  }
+
+  /**
+   * Record a job as completed
+   * @param {string} jobId - Job ID
+   * @param {Object} pack - Pack information
+   * @param {Object} fields - Fields to record with the job
+   * @private
+   */
+  _completed(jobId, pack, fields) {
+    const job = this.queue.get(jobId);
+    this._untrack(jobId);
+    this.queue.finish(jobId, 'completed', fields);
+    this.emit('complete', job, pack);
+  }
+
+  /**
+   * Handles a failed transfer
+   * @param {string} jobId - Job ID
+   * @param {Object} pack - Pack information
+   * @param {Error|string} error - What went wrong
+   * @private
+   */
+  _onError(jobId, pack, error) {
+    // Ignore errors from transfers that were already cancelled or finished
+    if (!this.activeDownloads.has(jobId)) return;
+
+    // For Docker compatibility
+    const filename = pack && pack.filename ? pack.filename : 'unknown file';
+    this.logger.error(`Download error with ${filename}: ${errorMessage(error)}`);
+
+    this._fail(jobId, error);
+  }
+
+  /**
+   * Handles the bot putting our request in its own queue
+   * @param {string} jobId - Job ID
+   * @param {Object} reply - Parsed bot reply with position, total and message
+   * @private
+   */
+  _onBotQueued(jobId, reply) {
+    const job = this.queue.get(jobId);
+    if (!job || !this.activeDownloads.has(jobId)) return;
+
+    this.logger.info(`${job.bot} queued pack #${job.pack}${reply.position ? ` at position ${reply.position}${reply.total ? ' of ' + reply.total : ''}` : ''}`);
+
+    this.queue.update(jobId, {
+      botQueuePosition: reply.position,
+      botQueueTotal: reply.total
+    });
+    this.emit('botqueued', job, reply);
+  }
+
+  /**
+   * Handles the bot refusing our request, either for good ('rejected', e.g.
+   * an invalid pack) or because of one of its limits ('limit')
+   * @param {string} jobId - Job ID
+   * @param {string} reason - 'rejected' or 'limit'
+   * @param {Object} reply - Parsed bot reply
+   * @private
+   */
+  _onRefused(jobId, reason, reply) {
+    const job = this.queue.get(jobId);
+    if (!job || !this.activeDownloads.has(jobId)) return;
+
+    this.logger.error(`${job.bot} refused pack #${job.pack} (${reason}): ${reply.message}`);
+
+    const error = new Error(reply.message);
+    error.code = reason === 'limit' ? 'BOT_LIMIT' : 'BOT_REJECTED';
+    this._fail(jobId, error, { reason });
+  }
+
+  /**
+   * Tear a transfer down and either schedule another attempt or mark its job as failed
+   * @param {string} jobId - Job ID
+   * @param {Error|string} error - What went wrong
+   * @param {Object} [fields] - Extra fields to record with the job
+   * @private
+   */
+  _fail(jobId, error, fields) {
+    const tracker = this.activeDownloads.get(jobId);
+    const job = this.queue.get(jobId);
+    const withdraw = !tracker.joining && this.networks.get(job.network).isReady() &&
+      !NOTHING_TO_WITHDRAW.includes(error && error.code);
+
+    // Make sure the bot drops the request and the transfer is torn down
+    // before the bot slot is handed to the next job, which would otherwise
+    // be offered this pack
+    tracker.request.emit(withdraw ? 'withdraw' : 'kill');
+    this._untrack(jobId);
+
+    // Timeouts and similar errors carry a code clients can act on
+    fields = Object.assign({
+      error: errorMessage(error),
+      errorCode: (error && error.code) || null,
+      reason: null
+    }, fields);
+
+    // Most likely cut off along with the IRC connection, which is no fault of the transfer
+    const code = error && error.code;
+    if (!this.networks.get(job.network).isReady() && (code === 'IRC_DISCONNECTED' || this.retry.errors.includes(code))) {
+      this._waitForNetwork(job, fields);
+      return;
+    }
+
+    if (this._isRetryable(job, error)) {
+      this._retryLater(job, error, fields);
+      return;
+    }
+
+    this.queue.finish(jobId, 'failed', fields);
+    this.emit('failed', job, error);
+  }
+
+  /**
+   * Put back in the queue the jobs whose requests were lost with their
+   * network's connection. Bots forget the requests of users who quit, so
+   * these packs are requested again once the network is back. Transfers
+   * already running over their own DCC connection carry on.
+   * @param {Network} network - Network that lost its connection
+   * @private
+   */
+  _onNetworkLost(network) {
+    for (const [jobId, tracker] of Array.from(this.activeDownloads)) {
+      const job = this.queue.get(jobId);
+      if (!job || job.network !== network.name || tracker.pipeline || tracker.request.conn) continue;
+
+      // Nothing can be sent to the bot now. The job asks for the same pack
+      // again, so a late offer of it is welcome rather than withdrawn.
+      tracker.request.emit('kill');
+      this._untrack(jobId);
+      this._waitForNetwork(job, {
+        error: `Lost connection to IRC network ${network.name}`,
+        errorCode: 'IRC_DISCONNECTED',
+        reason: null
+      });
+    }
+  }
+
+  /**
+   * Queue a job again until its network is back, without using up one of its attempts
+   * @param {Object} job - Job whose request was lost
+   * @param {Object} fields - Fields to record with the job
+   * @private
+   */
+  _waitForNetwork(job, fields) {
+    this.logger.warn(`Requesting pack #${job.pack} from ${job.bot} again once ${job.network} is reconnected, after: ${fields.error}`);
+
+    this.queue.requeue(job.id, Object.assign({}, fields, {
+      botQueuePosition: null,
+      botQueueTotal: null
+    }));
+    this.emit('unavailable', job);
+  }
+
+  /**
+   * Whether a failed job gets another attempt
+   * @param {Object} job - Job
+   * @param {Error|string} error - What went wrong
+   * @returns {boolean} True if the error is retryable and attempts are left
+   * @private
+   */
+  _isRetryable(job, error) {
+    const code = error && error.code;
+    return Boolean(code) && this.retry.errors.includes(code) &&
+      (job.attempts || 0) < this.retry.attempts;
+  }
+
+  /**
+   * Put a failed job back in the queue until its next attempt is due. The
+   * transfer resumes from its .part file.
+   * @param {Object} job - Job
+   * @param {Error|string} error - What went wrong
+   * @param {Object} fields - Fields to record with the job
+   * @private
+   */
+  _retryLater(job, error, fields) {
+    const attempts = (job.attempts || 0) + 1;
+    const delay = Math.min(this.retry.delay * Math.pow(2, attempts - 1), this.retry.maxDelay);
+
+    this.logger.info(`Retrying pack #${job.pack} from ${job.bot} in ${delay}s (attempt ${attempts + 1} of ${this.retry.attempts + 1}) after: ${fields.error}`);
+
+    this.queue.requeue(job.id, Object.assign({}, fields, {
+      attempts,
+      retryAt: Date.now() + delay * 1000
+    }));
+    this._wakeUpAt(job);
+    this.emit('retrying', job, error);
+  }
+
+  /**
+   * Let the queue know once a job's next attempt is due
+   * @param {Object} job - Job waiting to be retried
+   * @private
+   */
+  _wakeUpAt(job) {
+    this._clearRetry(job.id);
+    this.retryTimers.set(job.id, setTimeout(() => {
+      this.retryTimers.delete(job.id);
+      this.queue.schedule();
+    }, Math.max(0, job.retryAt - Date.now())));
+  }
+
+  /**
+   * Forget a pending retry
+   * @param {string} jobId - Job ID
+   * @private
+   */
+  _clearRetry(jobId) {
+    clearTimeout(this.retryTimers.get(jobId));
+    this.retryTimers.delete(jobId);
+  }
+}
+
+/**
+ * Validate a client supplied channel name
+ * @param {string} [channel] - Channel name, with or without its leading #
+ * @returns {string|undefined} Channel name, if one was given
+ */
+function normalizeChannel(channel) {
+  if (channel === undefined || channel === null || channel === '') return undefined;
+
+  if (typeof channel !== 'string' || /[\s,\x07]/.test(channel)) {
+    throw new Error(`Invalid channel: ${channel}`);
+  }
+  return /^[#&]/.test(channel) ? channel : '#' + channel;
+}
+
+/**
+ * Turn whatever axdcc reported as an error into a readable message
+ * @param {Error|string|Object} error - Reported error
+ * @returns {string} Error message
+ */
+function errorMessage(error) {
+  if (error instanceof Error) return error.message;
+  return typeof error === 'string' ? error : JSON.stringify(error);
+}
+
+/**
+ * Format file size into human-readable string
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatSize(bytes) {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+module.exports = { DownloadManager };
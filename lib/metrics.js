@@ -0,0 +1,187 @@
+/**
+ * Metrics Module
+ *
+ * This module keeps counters and gauges about downloads and IRC connections,
+ * fed from the events of the download manager and the network pool, and
+ * renders them in the Prometheus text format for GET /metrics.
+ */
+
+'use strict';
+
+// Connection states of a network, each reported as its own series
+const IRC_STATES = ['disconnected', 'connecting', 'connected', 'reconnecting'];
+
+/**
+ * Counters and gauges for monitoring
+ * @class Metrics
+ */
+class Metrics {
+  /**
+   * Create a new metrics collector
+   * @param {Object} options - Collector options
+   * @param {DownloadManager} options.manager - Download manager to follow
+   * @param {NetworkPool} [options.networks] - IRC networks to follow, the manager's by default
+   */
+  constructor(options) {
+    this.manager = options.manager;
+    this.networks = options.networks || options.manager.networks;
+    this.startTime = Date.now();
+
+    this.receivedBytes = 0;
+    this.completed = 0;
+    this.cancelled = 0;
+
+    // Bytes received per bot, keyed by network and bot
+    this.botBytes = new Map();
+
+    // Failed downloads keyed by reason, retries keyed by error code
+    this.failed = new Map();
+    this.retries = new Map();
+
+    // Successful connections and reconnect attempts, keyed by network name
+    this.connections = new Map();
+    this.reconnects = new Map();
+
+    // Position in its file up to which each running transfer was counted, keyed by job ID
+    this.positions = new Map();
+
+    this._followManager();
+    this._followNetworks();
+  }
+
+  /**
+   * Render all metrics
+   * @returns {string} Metrics in the Prometheus text exposition format
+   */
+  render() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      for (const sample of samples) {
+        lines.push(`${name}${formatLabels(sample.labels)} ${sample.value}`);
+      }
+    };
+    const byLabel = (map, label) => Array.from(map, ([key, value]) => ({ labels: { [label]: key }, value }));
+
+    const jobs = this.manager.list();
+    const networks = this.networks.list();
+    const count = state => jobs.filter(job => job.status === state).length;
+
+    metric('xdcc_jobs_active', 'gauge', 'Jobs currently transferring or post-processing.',
+      [{ value: count('active') }]);
+    metric('xdcc_jobs_queued', 'gauge', 'Jobs waiting in the queue, including those waiting for a retry.',
+      [{ value: count('queued') }]);
+    metric('xdcc_received_bytes_total', 'counter', 'Bytes received from bots.',
+      [{ value: this.receivedBytes }]);
+    metric('xdcc_bot_received_bytes_total', 'counter', 'Bytes received per bot, rate() of it is the bot\'s throughput.',
+      Array.from(this.botBytes.values(), entry => ({ labels: { network: entry.network, bot: entry.bot }, value: entry.bytes })));
+    metric('xdcc_downloads_completed_total', 'counter', 'Downloads that completed.',
+      [{ value: this.completed }]);
+    metric('xdcc_downloads_failed_total', 'counter', 'Downloads that failed for good, by error code or bot refusal.',
+      byLabel(this.failed, 'reason'));
+    metric('xdcc_downloads_cancelled_total', 'counter', 'Downloads that were cancelled.',
+      [{ value: this.cancelled }]);
+    metric('xdcc_download_retries_total', 'counter', 'Failed or interrupted transfers that were queued again, by error code.',
+      byLabel(this.retries, 'code'));
+    metric('xdcc_irc_connected', 'gauge', 'Whether the network is connected and identified.',
+      networks.map(network => ({ labels: { network: network.name }, value: network.isReady() ? 1 : 0 })));
+    metric('xdcc_irc_state', 'gauge', 'Connection state of the network, 1 for the current one.',
+      [].concat(...networks.map(network => IRC_STATES.map(state => ({
+        labels: { network: network.name, state },
+        value: network.state === state ? 1 : 0
+      })))));
+    metric('xdcc_irc_connections_total', 'counter', 'Connections that got through registration and identification.',
+      networks.map(network => ({ labels: { network: network.name }, value: this.connections.get(network.name) || 0 })));
+    metric('xdcc_irc_reconnects_total', 'counter', 'Reconnect attempts after a lost connection or a failed attempt.',
+      networks.map(network => ({ labels: { network: network.name }, value: this.reconnects.get(network.name) || 0 })));
+    metric('xdcc_start_time_seconds', 'gauge', 'When the server started, in seconds since the epoch.',
+      [{ value: Math.floor(this.startTime / 1000) }]);
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Count download manager events
+   * @private
+   */
+  _followManager() {
+    this.manager
+      .on('connect', (job, pack) => this.positions.set(job.id, pack.resumepos || 0))
+      .on('progress', (job, pack, received) => this._received(job, received))
+      .on('complete', (job, pack) => {
+        if (!pack.skipped) this._received(job, pack.filesize);
+        this.positions.delete(job.id);
+        this.completed++;
+      })
+      .on('retrying', (job) => {
+        this.positions.delete(job.id);
+        increment(this.retries, job.errorCode || 'unknown');
+      })
+      .on('unavailable', (job) => {
+        this.positions.delete(job.id);
+        increment(this.retries, job.errorCode || 'unknown');
+      })
+      .on('failed', (job) => {
+        this.positions.delete(job.id);
+        increment(this.failed, job.reason || job.errorCode || 'unknown');
+      })
+      .on('cancelled', (job) => {
+        this.positions.delete(job.id);
+        this.cancelled++;
+      });
+  }
+
+  /**
+   * Count IRC connections and reconnect attempts
+   * @private
+   */
+  _followNetworks() {
+    this.networks
+      .on('ready', network => increment(this.connections, network.name))
+      .on('disconnected', network => increment(this.reconnects, network.name));
+  }
+
+  /**
+   * Add what a transfer received since it was last counted
+   * @param {Object} job - Job
+   * @param {number} received - Position in the file the transfer has reached
+   * @private
+   */
+  _received(job, received) {
+    const counted = this.positions.get(job.id);
+    if (counted === undefined || !(received > counted)) return;
+
+    const bytes = received - counted;
+    this.positions.set(job.id, received);
+    this.receivedBytes += bytes;
+
+    const key = `${job.network}\n${job.bot.toLowerCase()}`;
+    const entry = this.botBytes.get(key) || { network: job.network, bot: job.bot, bytes: 0 };
+    entry.bytes += bytes;
+    this.botBytes.set(key, entry);
+  }
+}
+
+/**
+ * Add one to a counter kept in a map
+ * @param {Map} map - Counters
+ * @param {string} key - Counter to increment
+ */
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Format the labels of a sample
+ * @param {Object} [labels] - Label values keyed by label name
+ * @returns {string} e.g. {network="rizon",bot="MyBot"}, or nothing without labels
+ */
+function formatLabels(labels) {
+  if (!labels) return '';
+
+  const pairs = Object.entries(labels).map(([name, value]) =>
+    `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+module.exports = { Metrics };
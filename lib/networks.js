@@ -0,0 +1,980 @@
+/**
+ * IRC Networks Module
+ *
+ * This module manages one IRC client per configured network. Networks can
+ * connect at startup or lazily, the first time a download needs them, and
+ * join the channels that downloads ask for on demand.
+ */
+
+'use strict';
+
+// Get dependencies
+const fs = require('fs');
+const irc = require('irc');
+const { EventEmitter } = require('events');
+
+// How long to wait for the server to confirm a channel join
+const JOIN_TIMEOUT = 30000;
+
+// Certificate problems the irc library lets through when self-signed certificates are allowed
+const SELF_SIGNED_ERRORS = [
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'SELF_SIGNED_CERT_IN_CHAIN'
+];
+
+// Ways to identify to services
+const AUTH_METHODS = ['sasl', 'nickserv'];
+
+// NickServ answers to IDENTIFY. Services also send 900 (RPL_LOGGEDIN) on success.
+const IDENTIFY_SUCCESS = /you are now (?:identified|logged in)|password accepted|you are successfully identified/i;
+const IDENTIFY_FAILURE = /invalid password|incorrect password|password incorrect|(?:is not|isn't) registered|authentication failed/i;
+
+// Numerics of failed SASL authentication
+const SASL_FAILURES = ['902', '904', '905', '906'];
+
+// Seconds NickServ gets to release a nick before we check whether it is free
+const GHOST_DELAY = 3;
+
+// Seconds the server gets to answer CAP REQ :sasl before we register without it
+const CAP_TIMEOUT = 10;
+
+/**
+ * Error for downloads asked for while their network is reconnecting
+ * @class NetworkUnavailableError
+ * @extends Error
+ */
+class NetworkUnavailableError extends Error {
+  /**
+   * @param {Network} network - Network that lost its connection
+   */
+  constructor(network) {
+    super(`IRC network ${network.name} is unavailable, reconnecting to ${network.config.server}`);
+    this.code = 'IRC_UNAVAILABLE';
+    this.network = network.name;
+    this.retryAt = network.retryAt;
+  }
+}
+
+// Server replies that mean a channel cannot be joined
+const JOIN_ERRORS = [
+  'err_nosuchchannel',
+  'err_toomanychannels',
+  'err_channelisfull',
+  'err_inviteonlychan',
+  'err_bannedfromchan',
+  'err_badchannelkey',
+  'err_needreggednick'
+];
+
+/**
+ * Load network definitions from a JSON file
+ *
+ * The file maps network names to their settings:
+ * { "rizon": { "server": "irc.rizon.net", "nick": "me", "channels": ["#chan"] } }
+ *
+ * @param {string} file - Path of the JSON file
+ * @returns {Object} Network settings keyed by network name
+ */
+function loadNetworkConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const networks = config.networks || config;
+
+  if (!networks || typeof networks !== 'object' || Object.keys(networks).length === 0) {
+    throw new Error(`No networks defined in ${file}`);
+  }
+
+  for (const [name, settings] of Object.entries(networks)) {
+    if (!settings || !settings.server) {
+      throw new Error(`Network "${name}" in ${file} has no server`);
+    }
+  }
+
+  return networks;
+}
+
+/**
+ * A single IRC network and its client
+ * @class Network
+ * @extends EventEmitter
+ */
+class Network extends EventEmitter {
+  /**
+   * Create a new network
+   * @param {string} name - Network name used in requests
+   * @param {Object} config - Network settings
+   * @param {string} config.server - IRC server address
+   * @param {number} [config.port] - IRC server port, 6697 with TLS and 6667 without
+   * @param {boolean} [config.tls=false] - Connect over TLS
+   * @param {boolean} [config.selfSigned=false] - Accept self-signed certificates over TLS
+   * @param {string} [config.ca] - PEM file with the CA that signed the server's certificate
+   * @param {string} config.nick - Nickname to use
+   * @param {Array<string>} [config.channels=[]] - Channels to join on connect
+   * @param {boolean} [config.lazy=false] - Only connect once a download needs this network
+   * @param {number} [config.maxChannels=10] - Most channels joined at the same time
+   * @param {number} [config.channelIdleTimeout=300] - Seconds before an unused on-demand channel is parted
+   * @param {string} [config.password] - Password of the services account
+   * @param {string} [config.account] - Services account name, defaults to the nick
+   * @param {string} [config.auth='sasl'] - 'sasl' or 'nickserv', how to identify when a password is set
+   * @param {Array<string>} [config.altNicks=[]] - Nicks to try when the nick is in use
+   * @param {boolean} [config.ghost=true] - Ask NickServ to release the nick when it is in use and a password is set
+   * @param {number} [config.identifyTimeout=30] - Seconds to wait for NickServ to confirm identification
+   * @param {number} [config.reconnectDelay=5] - Seconds before reconnecting after the connection is lost,
+   *   doubled for every failed attempt
+   * @param {number} [config.reconnectMaxDelay=300] - Longest wait between two connection attempts in seconds
+   * @param {Object} logger - Logger with info/warn/error/debug methods
+   */
+  constructor(name, config, logger) {
+    super();
+
+    this.name = name;
+    this.logger = logger;
+    this.config = Object.assign({
+      port: config.tls ? 6697 : 6667,
+      channels: [],
+      lazy: false,
+      maxChannels: 10,
+      channelIdleTimeout: 300,
+      reconnectDelay: 5,
+      reconnectMaxDelay: 300
+    }, config);
+
+    // 'disconnected', 'connecting', 'connected', or 'reconnecting' while
+    // waiting for the next attempt after the connection was lost
+    this.state = 'disconnected';
+
+    // Failed connection attempts since we were last connected, and when the next one is due
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.retryAt = null;
+
+    this.account = this.config.account || this.config.nick;
+    this.auth = this.config.password ? (this.config.auth || 'sasl') : null;
+    if (this.auth && !AUTH_METHODS.includes(this.auth)) {
+      throw new Error(`Invalid auth for network ${name}: ${this.auth}. Expected one of ${AUTH_METHODS.join(', ')}`);
+    }
+
+    // Identification state of the current connection
+    this.identified = false;
+    this.registered = false;
+    this.capAnswered = false;
+    this.saslUnavailable = false;
+    this.altNickIndex = 0;
+    this.nickSuffix = 0;
+    this.authTimer = null;
+    this.identifyDone = null;
+
+    // Joined and joining channels keyed by lowercase name. Channels from the
+    // config are permanent, the others are parted once no download uses them.
+    this.channels = new Map();
+    for (const channel of this.config.channels) {
+      this._addChannel(channel, true);
+    }
+
+    this.client = new irc.Client(this.config.server, this.config.nick, {
+      port: this.config.port,
+      secure: this._tlsOptions(),
+      selfSigned: Boolean(this.config.selfSigned),
+      // Joined by us once identified, as some channels only let identified users in
+      channels: [],
+      userName: this.config.userName || this.config.nick,
+      realName: this.config.realName || this.config.nick,
+      debug: false,
+      stripColors: true,
+      autoConnect: false,
+      // Every lost connection ends in 'abort', and _connectionLost() takes over
+      retryCount: 0
+    });
+
+    // Several requests can listen on the same client at once
+    this.client.setMaxListeners(0);
+
+    if (this.auth === 'sasl') {
+      this._enableSasl();
+    }
+
+    this._bindEvents();
+  }
+
+  /**
+   * Whether downloads can be requested on this network
+   * @returns {boolean} True once the client is registered
+   */
+  isReady() {
+    return this.state === 'connected';
+  }
+
+  /**
+   * Whether the network lost its connection, or never got one, and is still
+   * trying to get it back
+   * @returns {boolean} True until a connection attempt succeeds
+   */
+  isUnavailable() {
+    return this.reconnectAttempts > 0 && this.state !== 'connected';
+  }
+
+  /**
+   * Whether a download in a channel could start now without going over the
+   * channel limit
+   * @param {string} [channel] - Channel the download needs
+   * @returns {boolean} True if the channel is joined, being joined or can be joined
+   */
+  canJoin(channel) {
+    if (!channel || this.channels.has(channel.toLowerCase())) return true;
+    return this.channels.size < this.config.maxChannels || Boolean(this._idleChannel());
+  }
+
+  /**
+   * Join a channel for a download, or reuse it if already joined. Every call
+   * has to be matched by a call to releaseChannel().
+   * @param {string} channel - Channel to join
+   * @param {Function} callback - Called with an error, or nothing once the channel is joined
+   */
+  acquireChannel(channel, callback) {
+    const key = channel.toLowerCase();
+    let entry = this.channels.get(key);
+
+    if (!entry) {
+      if (this.channels.size >= this.config.maxChannels) {
+        const idle = this._idleChannel();
+        if (!idle) {
+          callback(new Error(`Channel limit of ${this.config.maxChannels} reached on ${this.name}`));
+          return;
+        }
+        this._partChannel(idle);
+      }
+      entry = this._addChannel(channel, false);
+    }
+
+    entry.users++;
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = null;
+
+    if (entry.joined) {
+      callback(null);
+      return;
+    }
+
+    entry.waiting.push(callback);
+    if (!entry.joinTimer) {
+      // Channels from the config are joined once the network is ready
+      if (!entry.permanent) {
+        this.logger.info(`[${this.name}] Joining ${entry.name}`);
+        this.client.join(entry.name);
+      }
+      entry.joinTimer = setTimeout(() => {
+        this._failJoin(entry, new Error(`Timed out joining ${entry.name} on ${this.name}`));
+      }, JOIN_TIMEOUT);
+    }
+  }
+
+  /**
+   * Tell the network a download no longer needs a channel
+   * @param {string} channel - Channel passed to acquireChannel()
+   */
+  releaseChannel(channel) {
+    const entry = this.channels.get(channel.toLowerCase());
+    if (!entry || entry.users === 0) return;
+
+    entry.users--;
+    if (entry.users > 0 || entry.permanent) return;
+
+    entry.idleTimer = setTimeout(() => {
+      this.logger.info(`[${this.name}] Leaving idle channel ${entry.name}`);
+      this._partChannel(entry);
+    }, this.config.channelIdleTimeout * 1000);
+    entry.idleTimer.unref();
+
+    // An idle channel can make room for a download waiting on the channel limit
+    this.emit('release', this);
+  }
+
+  /**
+   * Connect to the network unless already connected or connecting
+   */
+  connect() {
+    if (this.state !== 'disconnected') return;
+
+    this.logger.info(`[${this.name}] Connecting to ${this.config.server}:${this.config.port} as ${this.config.nick}${this._tlsLabel()}`);
+    this._open();
+  }
+
+  /**
+   * Open a new connection to the server
+   * @private
+   */
+  _open() {
+    this.state = 'connecting';
+    this.client.connect();
+
+    if (this.config.tls) {
+      const conn = this.client.conn;
+      conn.once('secureConnect', () => this._checkCertificate(conn));
+    }
+  }
+
+  /**
+   * Disconnect from the network
+   * @param {string} message - Quit message
+   * @param {Function} [callback] - Called once disconnected
+   */
+  disconnect(message, callback) {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.retryAt = null;
+    this.reconnectAttempts = 0;
+
+    // A lazy network may never have opened a connection, and a lost one is already closed
+    if (this.state === 'disconnected' || this.state === 'reconnecting' || !this.client.conn) {
+      this.state = 'disconnected';
+      if (callback) callback();
+      return;
+    }
+
+    this.state = 'disconnected';
+    this.identifyDone = null;
+    this._clearAuthTimer();
+    this.client.disconnect(message, () => {
+      this.logger.info(`[${this.name}] Disconnected from IRC`);
+      if (callback) callback();
+    });
+  }
+
+  /**
+   * TLS settings for the irc library
+   * @returns {boolean|Object} False without TLS, otherwise true or the options for tls.connect()
+   * @private
+   */
+  _tlsOptions() {
+    if (!this.config.tls) return false;
+    if (!this.config.ca) return true;
+
+    return { ca: fs.readFileSync(this.config.ca) };
+  }
+
+  /**
+   * Describe how the connection is secured, for the log
+   * @returns {string} Label to append to log lines
+   * @private
+   */
+  _tlsLabel() {
+    if (!this.config.tls) return ' (plaintext)';
+    if (this.config.selfSigned) return ' over TLS (self-signed certificates accepted)';
+    return this.config.ca ? ` over TLS (CA ${this.config.ca})` : ' over TLS';
+  }
+
+  /**
+   * Give up on a TLS connection whose certificate the irc library would
+   * silently leave hanging: with self-signed certificates allowed it does
+   * not verify anything else, such as the host name.
+   * @param {tls.TLSSocket} conn - Connection to the server
+   * @private
+   */
+  _checkCertificate(conn) {
+    const error = conn.authorizationError;
+    if (conn.authorized || (this.config.selfSigned && SELF_SIGNED_ERRORS.includes(String(error)))) {
+      return;
+    }
+
+    // Retried with backoff like any lost connection, the server may get a valid certificate
+    this.logger.error(`[${this.name}] Rejected the TLS certificate of ${this.config.server}: ${error}`);
+    conn.destroy();
+  }
+
+  /**
+   * Negotiate SASL on every connection. The irc library's own SASL support
+   * sends the nick as authorization identity and never ends capability
+   * negotiation when authentication fails, so it is left off and replaced:
+   * CAP REQ has to go out before NICK and USER, or the server completes
+   * registration without waiting for us.
+   * @private
+   */
+  _enableSasl() {
+    const client = this.client;
+    const connectionHandler = client._connectionHandler;
+
+    const network = this;
+    client._connectionHandler = function () {
+      this.send('CAP', 'REQ', 'sasl');
+      connectionHandler.call(this);
+
+      // The server holds registration back until CAP END once it saw CAP REQ
+      network._authWait(CAP_TIMEOUT, () => {
+        network._saslUnavailable(`did not answer the SASL request within ${CAP_TIMEOUT}s`);
+        client.send('CAP', 'END');
+      });
+    };
+
+    // Runs before the library's handler, which would answer AUTHENTICATE with its own credentials
+    client.prependListener('raw', (message) => {
+      if (message.command === 'CAP' && String(message.args[2] || '').trim().split(/\s+/).includes('sasl')) {
+        // Claimed as well, the library sends its own AUTHENTICATE PLAIN for an ACK of "sasl "
+        message.command = 'sasl_cap';
+        if (message.args[1] === 'ACK') {
+          this.capAnswered = true;
+          this._clearAuthTimer();
+          client.send('AUTHENTICATE', 'PLAIN');
+        } else if (message.args[1] === 'NAK') {
+          this.capAnswered = true;
+          this._clearAuthTimer();
+          this._saslUnavailable('does not support SASL');
+          client.send('CAP', 'END');
+        }
+      } else if (message.command === 'AUTHENTICATE') {
+        // Claimed, so the library leaves it alone
+        message.command = 'sasl_authenticate';
+        if (message.args[0] === '+') {
+          this._sendSaslCredentials();
+        }
+      } else if (SASL_FAILURES.includes(message.command)) {
+        this.logger.error(`[${this.name}] SASL authentication as ${this.account} failed: ${message.args[message.args.length - 1]}`);
+        client.send('CAP', 'END');
+      }
+      // 903 (SASL succeeded) is answered with CAP END by the library
+    });
+  }
+
+  /**
+   * Give up on SASL for this connection and identify with NickServ instead
+   * @param {string} reason - What the server did, for the log
+   * @private
+   */
+  _saslUnavailable(reason) {
+    if (this.saslUnavailable) return;
+
+    this.saslUnavailable = true;
+    this.logger.warn(`[${this.name}] Server ${reason}, identifying with NickServ instead`);
+  }
+
+  /**
+   * Send the SASL PLAIN credentials, in chunks of 400 bytes as the protocol requires
+   * @private
+   */
+  _sendSaslCredentials() {
+    const payload = Buffer.from(`\0${this.account}\0${this.config.password}`).toString('base64');
+
+    for (let offset = 0; offset < payload.length; offset += 400) {
+      this.client.send('AUTHENTICATE', payload.slice(offset, offset + 400));
+    }
+    // A full last chunk has to be followed by an empty one
+    if (payload.length % 400 === 0) {
+      this.client.send('AUTHENTICATE', '+');
+    }
+  }
+
+  /**
+   * Finish connecting once registered: get our nick back, identify to
+   * NickServ if SASL didn't, then join channels and take downloads
+   * @private
+   */
+  _onRegistered() {
+    this.logger.info(`[${this.name}] Registered with the IRC server as ${this.client.nick}`);
+    this.registered = true;
+
+    // Servers without capability negotiation ignore CAP REQ and register us right away
+    if (this.auth === 'sasl' && !this.capAnswered) {
+      this._clearAuthTimer();
+      this._saslUnavailable('ignored the SASL request');
+    }
+
+    this._regainNick(() => this._identify(() => this._ready()));
+  }
+
+  /**
+   * Pick another nick while registering: the alternate nicks from the config
+   * first, then the nick with a number appended as the irc library would
+   * @param {string} nick - Nick that is in use
+   * @private
+   */
+  _nickInUse(nick) {
+    const altNicks = this.config.altNicks || [];
+    const alternative = this.altNickIndex < altNicks.length
+      ? altNicks[this.altNickIndex++]
+      : `${this.config.nick}${++this.nickSuffix}`;
+
+    this.logger.warn(`[${this.name}] ${nick} is in use, trying ${alternative}`);
+    this.client.send('NICK', alternative);
+    this.client.nick = alternative;
+    this.client._updateMaxLineLength();
+  }
+
+  /**
+   * Ask NickServ to disconnect whoever uses our nick, e.g. our own stale
+   * session, and switch to it once it is free
+   * @param {Function} done - Called when done, whether we got the nick or not
+   * @private
+   */
+  _regainNick(done) {
+    const nick = this.config.nick;
+    if (this.client.nick === nick || !this.config.password || this.config.ghost === false) {
+      done();
+      return;
+    }
+
+    this.logger.info(`[${this.name}] ${nick} is in use, asking NickServ to release it`);
+    this.client.say('NickServ', `GHOST ${nick} ${this.config.password}`);
+
+    // NickServ words its answer differently everywhere, so ask the server instead
+    this._authWait(GHOST_DELAY, () => {
+      const onIson = (message) => {
+        if (message.command !== 'rpl_ison') return;
+        this.client.removeListener('raw', onIson);
+
+        const online = String(message.args[1] || '').trim().split(/\s+/).map(name => name.toLowerCase());
+        if (online.includes(nick.toLowerCase())) {
+          this.logger.warn(`[${this.name}] ${nick} is still in use, staying ${this.client.nick}`);
+          this._clearAuthTimer();
+          done();
+          return;
+        }
+
+        const onNick = (oldNick, newNick) => {
+          if (newNick !== nick) return;
+          this.client.removeListener('nick', onNick);
+          this._clearAuthTimer();
+          done();
+        };
+
+        this.logger.info(`[${this.name}] Switching to ${nick}`);
+        this.client.on('nick', onNick);
+        this.client.send('NICK', nick);
+        this._authWait(GHOST_DELAY, () => {
+          this.client.removeListener('nick', onNick);
+          this.logger.warn(`[${this.name}] Could not switch to ${nick}, staying ${this.client.nick}`);
+          done();
+        });
+      };
+
+      this.client.on('raw', onIson);
+      this.client.send('ISON', nick);
+      this._authWait(GHOST_DELAY, () => {
+        this.client.removeListener('raw', onIson);
+        done();
+      });
+    });
+  }
+
+  /**
+   * Identify to NickServ, unless SASL took care of it already
+   * @param {Function} done - Called when done, whether identified or not
+   * @private
+   */
+  _identify(done) {
+    if (!this.auth || this.identified) {
+      done();
+      return;
+    }
+
+    // Wrong SASL credentials would not work with NickServ either
+    if (this.auth === 'sasl' && !this.saslUnavailable) {
+      this.logger.warn(`[${this.name}] Continuing without being identified`);
+      done();
+      return;
+    }
+
+    this.logger.info(`[${this.name}] Identifying to NickServ as ${this.account}`);
+    this.identifyDone = done;
+    this.client.say('NickServ', `IDENTIFY ${this.account} ${this.config.password}`);
+
+    const seconds = this.config.identifyTimeout || 30;
+    this._authWait(seconds, () => {
+      this.logger.warn(`[${this.name}] NickServ did not confirm identification within ${seconds}s, continuing without`);
+      this._identifyFinished();
+    });
+  }
+
+  /**
+   * Note that services confirmed our identification
+   * @param {string} how - What confirmed it, for the log
+   * @private
+   */
+  _onIdentified(how) {
+    if (!this.identified) {
+      this.identified = true;
+      this.logger.info(`[${this.name}] Identified as ${this.account} (${how})`);
+    }
+    this._identifyFinished();
+  }
+
+  /**
+   * Go on after NickServ answered IDENTIFY or did not answer in time
+   * @private
+   */
+  _identifyFinished() {
+    const done = this.identifyDone;
+    if (!done) return;
+
+    this.identifyDone = null;
+    this._clearAuthTimer();
+    done();
+  }
+
+  /**
+   * Take downloads and join the channels from the config
+   * @private
+   */
+  _ready() {
+    this.state = 'connected';
+    this.reconnectAttempts = 0;
+    this.logger.info(`[${this.name}] Connected to IRC server successfully as ${this.client.nick}${this.identified ? `, identified as ${this.account}` : ''}`);
+
+    // After a reconnect this includes the channels of transfers that outlived the old connection
+    for (const entry of this.channels.values()) {
+      if ((entry.permanent || entry.users > 0) && !entry.joined) {
+        this.client.join(entry.name);
+      }
+    }
+
+    // Jobs can only be requested from bots once we are on the network
+    this.emit('ready', this);
+  }
+
+  /**
+   * Get a lost connection back, waiting longer after every failed attempt
+   * but never giving up. Downloads waiting for a channel fail, so their jobs
+   * can be queued again, and 'disconnected' lets the download manager
+   * recover the requests that were lost with the connection.
+   * @private
+   */
+  _connectionLost() {
+    const wasConnected = this.state === 'connected';
+    const seconds = Math.min(this.config.reconnectDelay * Math.pow(2, this.reconnectAttempts), this.config.reconnectMaxDelay);
+
+    this.state = 'reconnecting';
+    this.reconnectAttempts++;
+    this.retryAt = Date.now() + seconds * 1000;
+    this.identifyDone = null;
+    this._clearAuthTimer();
+
+    // The library leaves the ping timer of a closed connection running
+    if (this.client.conn && this.client.conn.cyclingPingTimer) {
+      this.client.conn.cyclingPingTimer.stop();
+    }
+
+    // Rejoined by _ready() once identified, rather than by the library as soon as the MOTD arrives
+    this.client.opt.channels = [];
+
+    for (const entry of Array.from(this.channels.values())) {
+      entry.joined = false;
+      if (entry.waiting.length > 0) {
+        const error = new Error(`Lost connection to ${this.name} while joining ${entry.name}`);
+        error.code = 'IRC_DISCONNECTED';
+        this._failJoin(entry, error);
+      }
+    }
+
+    if (wasConnected) {
+      this.logger.error(`[${this.name}] Lost connection to ${this.config.server}, reconnecting in ${seconds}s`);
+    } else {
+      this.logger.error(`[${this.name}] Could not connect to ${this.config.server}, retrying in ${seconds}s (retry ${this.reconnectAttempts})`);
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.retryAt = null;
+      this.logger.info(`[${this.name}] Reconnecting to ${this.config.server}:${this.config.port} as ${this.config.nick}${this._tlsLabel()}`);
+      this._open();
+    }, seconds * 1000);
+
+    this.emit('disconnected', this);
+  }
+
+  /**
+   * Run a step of identification later, unless the connection is lost first
+   * @param {number} seconds - Seconds to wait
+   * @param {Function} callback - Step to run
+   * @private
+   */
+  _authWait(seconds, callback) {
+    this._clearAuthTimer();
+    this.authTimer = setTimeout(() => {
+      this.authTimer = null;
+      callback();
+    }, seconds * 1000);
+  }
+
+  /**
+   * Stop waiting for a step of identification
+   * @private
+   */
+  _clearAuthTimer() {
+    clearTimeout(this.authTimer);
+    this.authTimer = null;
+  }
+
+  /**
+   * Start tracking a channel
+   * @param {string} channel - Channel name
+   * @param {boolean} permanent - Whether the channel stays joined while unused
+   * @returns {Object} Channel entry
+   * @private
+   */
+  _addChannel(channel, permanent) {
+    const entry = {
+      name: channel,
+      permanent,
+      joined: false,
+      users: 0,
+      waiting: [],
+      joinTimer: null,
+      idleTimer: null
+    };
+    this.channels.set(channel.toLowerCase(), entry);
+    return entry;
+  }
+
+  /**
+   * Find an on-demand channel no download uses anymore
+   * @returns {Object|undefined} Channel entry
+   * @private
+   */
+  _idleChannel() {
+    return Array.from(this.channels.values()).find(entry => !entry.permanent && entry.users === 0);
+  }
+
+  /**
+   * Leave an on-demand channel and stop tracking it
+   * @param {Object} entry - Channel entry
+   * @private
+   */
+  _partChannel(entry) {
+    clearTimeout(entry.idleTimer);
+    clearTimeout(entry.joinTimer);
+    this.channels.delete(entry.name.toLowerCase());
+
+    if (this.isReady()) {
+      this.client.part(entry.name);
+    }
+  }
+
+  /**
+   * Answer the downloads waiting for a channel once it is joined
+   * @param {Object} entry - Channel entry
+   * @private
+   */
+  _joined(entry) {
+    clearTimeout(entry.joinTimer);
+    entry.joinTimer = null;
+    entry.joined = true;
+
+    const waiting = entry.waiting.splice(0);
+    waiting.forEach(callback => callback(null));
+  }
+
+  /**
+   * Fail the downloads waiting for a channel that could not be joined
+   * @param {Object} entry - Channel entry
+   * @param {Error} error - Why the join failed
+   * @private
+   */
+  _failJoin(entry, error) {
+    clearTimeout(entry.joinTimer);
+    entry.joinTimer = null;
+    this.logger.error(`[${this.name}] ${error.message}`);
+
+    // Waiting downloads release the channel when they fail, so forget it now
+    if (!entry.permanent) {
+      this.channels.delete(entry.name.toLowerCase());
+    }
+
+    const waiting = entry.waiting.splice(0);
+    waiting.forEach(callback => callback(error));
+  }
+
+  /**
+   * Track channels we were parted or kicked from
+   * @param {string} channel - Channel name
+   * @param {string} nick - Nickname that left
+   * @private
+   */
+  _left(channel, nick) {
+    if (nick !== this.client.nick) return;
+
+    const entry = this.channels.get(channel.toLowerCase());
+    if (entry) {
+      // Joined again the next time a download needs it
+      entry.joined = false;
+    }
+  }
+
+  /**
+   * Log IRC events and track the connection state
+   * @private
+   */
+  _bindEvents() {
+    const client = this.client;
+
+    // Every connection, including the library's reconnects, starts unidentified
+    client.on('connect', () => {
+      this.state = 'connecting';
+      this.identified = false;
+      this.registered = false;
+      this.capAnswered = false;
+      this.saslUnavailable = false;
+      this.altNickIndex = 0;
+      this.nickSuffix = 0;
+      this.identifyDone = null;
+      this._clearAuthTimer();
+    });
+
+    client.on('registered', () => this._onRegistered());
+
+    // Claimed before the irc library sees it, which would send a NICK of its own
+    client.prependListener('raw', (message) => {
+      if (message.command !== 'err_nicknameinuse') return;
+
+      // Handled here, so not reported as an IRC error either
+      message.command = 'nick_in_use';
+      message.commandType = 'normal';
+      // Once registered, only our attempt to get the nick back failed, see _regainNick()
+      if (!this.registered) {
+        this._nickInUse(message.args[1]);
+      }
+    });
+
+    client.on('raw', (message) => {
+      if (message.command === '900') {
+        this._onIdentified(this.identifyDone ? 'NickServ' : 'SASL');
+      }
+    });
+
+    client.on('join', (channel, nick) => {
+      if (nick === client.nick) {
+        this.logger.info(`[${this.name}] Joined channel ${channel}`);
+
+        const entry = this.channels.get(channel.toLowerCase());
+        if (entry) this._joined(entry);
+      }
+    });
+
+    client.on('part', (channel, nick) => this._left(channel, nick));
+    client.on('kick', (channel, nick) => this._left(channel, nick));
+
+    client.on('error', (error) => {
+      this.logger.error(`[${this.name}] IRC error: ${JSON.stringify(error)}`);
+
+      if (JOIN_ERRORS.includes(error.command) && error.args) {
+        const entry = this.channels.get(String(error.args[1]).toLowerCase());
+        if (entry && !entry.joined) {
+          this._failJoin(entry, new Error(`Cannot join ${entry.name} on ${this.name}: ${error.args[2] || error.command}`));
+        }
+      }
+
+    });
+
+    client.on('netError', (error) => {
+      this.logger.error(`[${this.name}] IRC network error: ${error.message}`);
+    });
+
+    client.on('abort', () => this._connectionLost());
+
+    client.on('notice', (nick, to, text) => {
+      if (nick === 'NickServ' || nick === 'ChanServ') {
+        this.logger.debug(`[${this.name}] ${nick}: ${text}`);
+      }
+
+      if (nick === 'NickServ' && this.identifyDone) {
+        if (IDENTIFY_SUCCESS.test(text)) {
+          this._onIdentified('NickServ');
+        } else if (IDENTIFY_FAILURE.test(text)) {
+          this.logger.error(`[${this.name}] NickServ did not accept our password: ${text}`);
+          this._identifyFinished();
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Set of configured IRC networks
+ * @class NetworkPool
+ * @extends EventEmitter
+ */
+class NetworkPool extends EventEmitter {
+  /**
+   * Create a new network pool
+   * @param {Object} options - Pool options
+   * @param {Object} options.networks - Network settings keyed by network name
+   * @param {string} [options.defaultNetwork] - Network used when a request names none
+   * @param {Object} [options.defaults] - Settings for networks that don't define them
+   * @param {Object} options.logger - Logger with info/warn/error/debug methods
+   */
+  constructor(options) {
+    super();
+
+    this.logger = options.logger;
+    this.networks = new Map();
+
+    for (const [name, config] of Object.entries(options.networks)) {
+      const network = new Network(name, Object.assign({}, options.defaults, config), this.logger);
+      network.on('ready', () => this.emit('ready', network));
+      network.on('release', () => this.emit('release', network));
+      network.on('disconnected', () => this.emit('disconnected', network));
+      this.networks.set(name, network);
+    }
+
+    this.defaultName = options.defaultNetwork || this.networks.keys().next().value;
+    if (!this.networks.has(this.defaultName)) {
+      throw new Error(`Default network "${this.defaultName}" is not configured`);
+    }
+  }
+
+  /**
+   * Resolve the network a request refers to
+   * @param {string} [name] - Network name, or nothing for the default network
+   * @returns {Network} The network
+   */
+  get(name) {
+    const network = this.networks.get(name || this.defaultName);
+    if (!network) {
+      throw new Error(`Unknown network: ${name}`);
+    }
+    return network;
+  }
+
+  /**
+   * Whether a network is configured
+   * @param {string} name - Network name
+   * @returns {boolean} True if the network exists
+   */
+  has(name) {
+    return this.networks.has(name);
+  }
+
+  /**
+   * List all networks
+   * @returns {Array<Network>} Networks
+   */
+  list() {
+    return Array.from(this.networks.values());
+  }
+
+  /**
+   * Connect every network that is not configured as lazy
+   */
+  connect() {
+    for (const network of this.networks.values()) {
+      if (network.config.lazy) {
+        this.logger.info(`[${network.name}] Will connect to ${network.config.server} when a download needs it`);
+      } else {
+        network.connect();
+      }
+    }
+  }
+
+  /**
+   * Disconnect from all networks
+   * @param {string} message - Quit message
+   * @param {Function} [callback] - Called once all networks are disconnected
+   */
+  disconnect(message, callback) {
+    let remaining = this.networks.size;
+    for (const network of this.networks.values()) {
+      network.disconnect(message, () => {
+        if (--remaining === 0 && callback) callback();
+      });
+    }
+  }
+}
+
+module.exports = { Network, NetworkPool, NetworkUnavailableError, loadNetworkConfig };
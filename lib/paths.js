@@ -0,0 +1,237 @@
+/**
+ * Path Policy Module
+ *
+ * This module turns names from untrusted sources (bots offering files,
+ * clients choosing download directories) into paths that are safe to write
+ * to: no traversal, no control characters, sane lengths, and always inside
+ * the download root.
+ */
+
+'use strict';
+
+// Get dependencies
+const fs = require('fs');
+const path = require('path');
+
+// Longest file or directory name most file systems accept, in bytes. Room is
+// left for the suffixes added to partial files (.part, .part.old, .part.old.2).
+const MAX_NAME_BYTES = 255 - '.part.old.99'.length;
+
+// Longest extension kept when a long name has to be shortened
+const MAX_EXTENSION_LENGTH = 16;
+
+// Placeholders of destination templates. {filename} is only known once the
+// bot offers the file, the others when the download is requested.
+const TEMPLATE_PLACEHOLDERS = ['network', 'channel', 'bot', 'pack', 'yyyy', 'mm', 'dd', 'filename'];
+
+/**
+ * Error for paths that cannot be made safe
+ * @class PathError
+ * @extends Error
+ */
+class PathError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.code = 'INVALID_PATH';
+  }
+}
+
+/**
+ * Make a single file or directory name safe to use
+ * @param {string} name - Name as received
+ * @returns {string} Safe name, empty if nothing usable is left
+ */
+function sanitizeName(name) {
+  let safe = String(name)
+    // Keep only the last component of anything that looks like a path
+    .split(/[\/\\]/).pop()
+    // Control characters, including NUL and DEL
+    .replace(/[\x00-\x1f\x7f]/g, '')
+    .trim()
+    // Leading dots would hide the file or make it '.' or '..'
+    .replace(/^\.+/, '')
+    // Trailing dots and spaces are dropped by some file systems
+    .replace(/[.\s]+$/, '');
+
+  if (Buffer.byteLength(safe) > MAX_NAME_BYTES) {
+    safe = truncateName(safe);
+  }
+
+  return safe;
+}
+
+/**
+ * Shorten a name to MAX_NAME_BYTES, keeping its extension
+ * @param {string} name - Name that is too long
+ * @returns {string} Shortened name
+ */
+function truncateName(name) {
+  const extension = path.extname(name);
+  const keep = extension.length <= MAX_EXTENSION_LENGTH ? extension : '';
+  let base = keep ? name.slice(0, -keep.length) : name;
+
+  // Cut whole characters until the UTF-8 encoding fits
+  while (base && Buffer.byteLength(base + keep) > MAX_NAME_BYTES) {
+    base = Array.from(base).slice(0, -1).join('');
+  }
+
+  return base.trim() + keep;
+}
+
+/**
+ * Whether a path is the root itself or somewhere below it
+ * @param {string} root - Absolute root directory
+ * @param {string} target - Absolute path to check
+ * @returns {boolean} True if the path stays inside the root
+ */
+function isInside(root, target) {
+  const relative = path.relative(path.resolve(root), path.resolve(target));
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Resolve the symlinks in a path whose last parts may not exist yet
+ * @param {string} target - Absolute path
+ * @returns {string} Path with the symlinks of its existing part resolved
+ */
+function realPath(target) {
+  let existing = path.resolve(target);
+  const missing = [];
+
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) break;
+    missing.unshift(path.basename(existing));
+    existing = parent;
+  }
+
+  return path.join(fs.realpathSync(existing), ...missing);
+}
+
+/**
+ * Find a name that is not taken yet by adding a number, e.g. 'file (2).mkv'
+ * @param {string} location - Absolute path of a file that already exists
+ * @returns {string} Absolute path of a file that does not exist
+ */
+function nextFreeName(location) {
+  const extension = path.extname(location);
+  const base = location.slice(0, location.length - extension.length);
+
+  for (let n = 1; ; n++) {
+    const candidate = `${base} (${n})${extension}`;
+    if (!fs.existsSync(candidate)) return candidate;
+  }
+}
+
+/**
+ * Find a name for a partial file that is moved aside, numbering it if an
+ * older one is still there, e.g. 'file.mkv.part.old.2'
+ * @param {string} location - Absolute path of the file being downloaded
+ * @returns {string} Absolute path of a file that does not exist
+ */
+function stalePartialName(location) {
+  const base = `${location}.part.old`;
+  if (!fs.existsSync(base)) return base;
+
+  for (let n = 2; ; n++) {
+    const candidate = `${base}.${n}`;
+    if (!fs.existsSync(candidate)) return candidate;
+  }
+}
+
+/**
+ * Split a destination template into its directory and file name parts
+ * @param {string} template - Template, e.g. '{network}/{bot}/{yyyy}-{mm}/{filename}'
+ * @returns {{directory: string, file: string}} Directory template and file name template
+ * @throws {PathError} If the template uses unknown placeholders or does not end in a file name with {filename}
+ */
+function parseTemplate(template) {
+  const unknown = (String(template).match(/\{[^}]*\}/g) || [])
+    .filter(placeholder => !TEMPLATE_PLACEHOLDERS.includes(placeholder.slice(1, -1)));
+  if (unknown.length) {
+    throw new PathError(`Unknown placeholder ${unknown[0]} in template ${JSON.stringify(template)}. Expected any of {${TEMPLATE_PLACEHOLDERS.join('}, {')}}`);
+  }
+
+  const segments = String(template).split(/[\/\\]+/);
+  const file = segments.pop();
+  if (!file.includes('{filename}') || segments.some(segment => segment.includes('{filename}'))) {
+    throw new PathError(`Template ${JSON.stringify(template)} must end in a file name containing {filename}`);
+  }
+
+  return { directory: segments.join('/'), file };
+}
+
+/**
+ * Fill in the placeholders of a template. Values are made safe to use as
+ * names, placeholders without a value are left as they are.
+ * @param {string} template - Template or part of one
+ * @param {Object} values - Values keyed by placeholder name
+ * @returns {string} Expanded template
+ */
+function expandTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    return Object.prototype.hasOwnProperty.call(values, name) ? sanitizeName(values[name]) : placeholder;
+  });
+}
+
+/**
+ * Resolve a file name offered by a bot inside a download directory
+ * @param {string} directory - Absolute download directory
+ * @param {string} filename - File name as offered
+ * @returns {string} Absolute path of the file
+ * @throws {PathError} If no safe name is left or the path leaves the directory
+ */
+function resolveFile(directory, filename) {
+  const safeName = sanitizeName(filename);
+  if (!safeName) {
+    throw new PathError(`Refusing unusable file name: ${JSON.stringify(filename)}`);
+  }
+
+  const location = path.resolve(directory, safeName);
+  if (!isInside(directory, location) || location === path.resolve(directory)) {
+    throw new PathError(`File name ${JSON.stringify(filename)} resolves outside of ${directory}`);
+  }
+
+  return location;
+}
+
+/**
+ * Resolve a directory requested by a client inside the download root.
+ * Traversal, empty and '.' segments are dropped, other segments sanitized.
+ * @param {string} root - Absolute download root
+ * @param {string} userPath - Directory relative to the root
+ * @returns {string} Absolute directory
+ * @throws {PathError} If the directory would leave the root
+ */
+function resolveDirectory(root, userPath) {
+  const segments = String(userPath)
+    .split(/[\/\\]+/)
+    .filter(segment => segment !== '..')
+    .map(sanitizeName)
+    .filter(Boolean);
+
+  const directory = path.resolve(root, ...segments);
+  if (!isInside(root, directory)) {
+    throw new PathError(`Download path ${JSON.stringify(userPath)} resolves outside of ${root}`);
+  }
+
+  return directory;
+}
+
+module.exports = {
+  PathError,
+  sanitizeName,
+  isInside,
+  realPath,
+  nextFreeName,
+  stalePartialName,
+  parseTemplate,
+  expandTemplate,
+  resolveFile,
+  resolveDirectory,
+  MAX_NAME_BYTES,
+  TEMPLATE_PLACEHOLDERS
+};
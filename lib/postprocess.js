@@ -0,0 +1,353 @@
+/**
+ * Post-processing Module
+ *
+ * This module runs the steps configured for completed downloads: moving the
+ * file into a library directory, extracting archives and running user
+ * commands. Every job gets its own Pipeline, which reports each step as it
+ * finishes.
+ */
+
+'use strict';
+
+// Get dependencies
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { expandTemplate, nextFreeName } = require('./paths');
+
+// Seconds a command or extraction may run before it is killed
+const DEFAULT_STEP_TIMEOUT = 600;
+
+// Characters of a step's output kept with the job
+const MAX_OUTPUT = 4096;
+
+// Archives the extract step understands, and how to unpack them into a directory
+const ARCHIVES = [
+  { extension: '.tar.gz', command: (file, dir) => ['tar', ['-xzf', file, '-C', dir]] },
+  { extension: '.tgz', command: (file, dir) => ['tar', ['-xzf', file, '-C', dir]] },
+  { extension: '.tar', command: (file, dir) => ['tar', ['-xf', file, '-C', dir]] },
+  { extension: '.zip', command: (file, dir) => ['unzip', ['-o', '-q', file, '-d', dir]] }
+];
+
+/**
+ * Load the post-processing steps from a JSON file
+ *
+ * The file lists the steps in the order they run:
+ * { "steps": [
+ *   { "type": "move", "to": "/library/{network}/{bot}" },
+ *   { "type": "extract", "delete": true },
+ *   { "type": "command", "command": "/scripts/index.sh", "timeout": 300 }
+ * ] }
+ *
+ * @param {string} file - Path of the JSON file
+ * @returns {Array<Object>} Steps
+ */
+function loadPipelineConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const steps = Array.isArray(config) ? config : config.steps;
+
+  if (!Array.isArray(steps)) {
+    throw new Error(`No steps defined in ${file}`);
+  }
+
+  steps.forEach((step, index) => {
+    const name = `Step ${index + 1} in ${file}`;
+
+    if (!step || !['move', 'extract', 'command'].includes(step.type)) {
+      throw new Error(`${name} has an unknown type, expected move, extract or command`);
+    }
+    if (step.type === 'move' && !(typeof step.to === 'string' && path.isAbsolute(step.to))) {
+      throw new Error(`${name} needs an absolute "to" directory`);
+    }
+    if (step.type === 'command' && !step.command) {
+      throw new Error(`${name} has no command`);
+    }
+  });
+
+  return steps;
+}
+
+/**
+ * Post-processing of one completed download
+ * @class Pipeline
+ * @extends EventEmitter
+ */
+class Pipeline extends EventEmitter {
+  /**
+   * Create a new pipeline
+   * @param {Array<Object>} steps - Steps from loadPipelineConfig()
+   * @param {Object} job - Completed job, with the location of its file
+   */
+  constructor(steps, job) {
+    super();
+
+    this.steps = steps;
+    this.job = job;
+    this.location = job.location;
+    this.extracted = null;
+    this.results = [];
+    this.child = null;
+    this.cancelled = false;
+
+    // Values for the placeholders of move destinations
+    const now = new Date();
+    this.values = {
+      network: job.network,
+      channel: job.channel ? job.channel.replace(/^#/, '') : '',
+      bot: job.bot,
+      pack: job.pack,
+      filename: path.basename(job.location),
+      yyyy: String(now.getFullYear()),
+      mm: String(now.getMonth() + 1).padStart(2, '0'),
+      dd: String(now.getDate()).padStart(2, '0')
+    };
+  }
+
+  /**
+   * Run the steps in order, stopping at the first that fails. Emits 'step'
+   * with the result of each step.
+   * @param {Function} callback - Called with the pipeline result, its status
+   *   ('done', 'failed' or 'cancelled') and the results of the steps that ran
+   */
+  run(callback) {
+    const next = (index) => {
+      if (this.cancelled) {
+        callback({ status: 'cancelled', steps: this.results });
+        return;
+      }
+      if (index >= this.steps.length) {
+        callback({ status: 'done', steps: this.results });
+        return;
+      }
+
+      const step = this.steps[index];
+      this[`_${step.type}`](step, (err, outcome = {}) => {
+        const result = {
+          type: step.type,
+          status: err ? 'failed' : (outcome.skipped ? 'skipped' : 'done'),
+          output: truncate(outcome.output || (err && err.output) || ''),
+          error: err ? err.message : null,
+          path: this.location
+        };
+        this.results.push(result);
+        this.emit('step', result, index);
+
+        if (err) {
+          callback({ status: this.cancelled ? 'cancelled' : 'failed', steps: this.results });
+          return;
+        }
+        next(index + 1);
+      });
+    };
+
+    next(0);
+  }
+
+  /**
+   * Stop the pipeline, killing the process of the running step
+   */
+  cancel() {
+    this.cancelled = true;
+    if (this.child) {
+      this.child.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Move the file into another directory
+   * @param {Object} step - Step settings
+   * @param {string} step.to - Absolute destination directory, may use placeholders
+   * @param {Function} done - Called with (err, outcome)
+   * @private
+   */
+  _move(step, done) {
+    const directory = expandTemplate(step.to, this.values);
+    let target = path.join(directory, path.basename(this.location));
+
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+    } catch (err) {
+      done(err);
+      return;
+    }
+
+    if (fs.existsSync(target)) {
+      target = nextFreeName(target);
+    }
+
+    const moved = (err) => {
+      if (err) {
+        done(err);
+        return;
+      }
+      this.location = target;
+      done(null, { output: `Moved to ${target}` });
+    };
+
+    fs.rename(this.location, target, (err) => {
+      if (!err || err.code !== 'EXDEV') {
+        moved(err);
+        return;
+      }
+
+      // Other file system, so copy it over
+      fs.copyFile(this.location, target, fs.constants.COPYFILE_EXCL, (copyErr) => {
+        if (copyErr) {
+          moved(copyErr);
+          return;
+        }
+        fs.unlink(this.location, () => moved(null));
+      });
+    });
+  }
+
+  /**
+   * Extract an archive into a directory next to it, named after it
+   * @param {Object} step - Step settings
+   * @param {boolean} [step.delete=false] - Delete the archive once it is extracted
+   * @param {number} [step.timeout=600] - Seconds the extraction may take
+   * @param {Function} done - Called with (err, outcome)
+   * @private
+   */
+  _extract(step, done) {
+    const name = path.basename(this.location);
+    const archive = ARCHIVES.find(type => name.toLowerCase().endsWith(type.extension));
+    if (!archive) {
+      done(null, { skipped: true, output: `${name} is not a supported archive` });
+      return;
+    }
+
+    let directory = path.join(path.dirname(this.location), name.slice(0, -archive.extension.length) || name);
+    if (fs.existsSync(directory)) {
+      directory = nextFreeName(directory);
+    }
+
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+    } catch (err) {
+      done(err);
+      return;
+    }
+
+    const [command, args] = archive.command(this.location, directory);
+    this._spawn(command, args, { timeout: step.timeout }, (err, output) => {
+      if (err) {
+        done(err);
+        return;
+      }
+
+      this.extracted = directory;
+      if (!step.delete) {
+        done(null, { output: `Extracted to ${directory}\n${output}` });
+        return;
+      }
+
+      fs.unlink(this.location, (unlinkErr) => {
+        if (unlinkErr) {
+          done(unlinkErr);
+          return;
+        }
+        this.location = directory;
+        done(null, { output: `Extracted to ${directory} and deleted the archive\n${output}` });
+      });
+    });
+  }
+
+  /**
+   * Run a shell command with the job's details in XDCC_* environment variables
+   * @param {Object} step - Step settings
+   * @param {string} step.command - Command line
+   * @param {number} [step.timeout=600] - Seconds the command may run
+   * @param {Function} done - Called with (err, outcome)
+   * @private
+   */
+  _command(step, done) {
+    const env = Object.assign({}, process.env, {
+      XDCC_JOB_ID: this.job.id,
+      XDCC_NETWORK: this.job.network,
+      XDCC_CHANNEL: this.job.channel || '',
+      XDCC_BOT: this.job.bot,
+      XDCC_PACK: this.job.pack,
+      XDCC_FILENAME: path.basename(this.location),
+      XDCC_PATH: this.location,
+      XDCC_EXTRACTED_PATH: this.extracted || '',
+      XDCC_SIZE: String(this.job.size || ''),
+      XDCC_VERIFICATION: this.job.verification || ''
+    });
+
+    this._spawn(step.command, [], { shell: true, env, timeout: step.timeout }, (err, output) => {
+      done(err, { output });
+    });
+  }
+
+  /**
+   * Run a process, collecting its output
+   * @param {string} command - Executable, or command line when options.shell is set
+   * @param {Array<string>} args - Arguments
+   * @param {Object} options - Options for child_process.spawn, plus timeout in seconds
+   * @param {Function} done - Called with (err, output)
+   * @private
+   */
+  _spawn(command, args, options, done) {
+    const seconds = options.timeout || DEFAULT_STEP_TIMEOUT;
+    const name = options.shell ? 'Command' : command;
+    let output = '';
+    let timedOut = false;
+
+    const child = spawn(command, args, {
+      shell: options.shell || false,
+      env: options.env || process.env,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    this.child = child;
+
+    const collect = (data) => {
+      // Only the end of long output is kept
+      output = (output + data).slice(-MAX_OUTPUT * 2);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+    }, seconds * 1000);
+
+    let finished = false;
+    const finish = (err) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      this.child = null;
+
+      if (err) err.output = output;
+      done(err, output);
+    };
+
+    child.on('error', finish);
+    child.on('close', (code, signal) => {
+      if (timedOut) {
+        finish(new Error(`${name} did not finish within ${seconds}s`));
+      } else if (this.cancelled) {
+        finish(new Error(`${name} was stopped`));
+      } else if (code !== 0) {
+        finish(new Error(`${name} exited with ${signal ? `signal ${signal}` : `code ${code}`}`));
+      } else {
+        finish(null);
+      }
+    });
+  }
+}
+
+/**
+ * Keep the end of a step's output
+ * @param {string} output - Output
+ * @returns {string} Output of at most MAX_OUTPUT characters
+ */
+function truncate(output) {
+  const text = String(output).trim();
+  return text.length > MAX_OUTPUT ? text.slice(-MAX_OUTPUT) : text;
+}
+
+module.exports = { Pipeline, loadPipelineConfig };
@@ -0,0 +1,110 @@
+/**
+ * TCP Protocol Module
+ *
+ * This module implements the message framing of the TCP API: every message,
+ * in both directions, is a single JSON object terminated by a newline
+ * (newline-delimited JSON).
+ */
+
+'use strict';
+
+// Get dependencies
+const { EventEmitter } = require('events');
+
+/**
+ * Encode a message for the wire
+ * @param {Object} message - Message to send
+ * @returns {string} JSON line
+ */
+function encodeMessage(message) {
+  return JSON.stringify(message) + '\n';
+}
+
+/**
+ * Splits an incoming stream into JSON messages
+ * @class MessageReader
+ * @extends EventEmitter
+ */
+class MessageReader extends EventEmitter {
+  /**
+   * Create a new message reader
+   * @param {Object} [options] - Reader options
+   * @param {number} [options.maxLength=10000] - Largest message accepted, in characters
+   */
+  constructor(options = {}) {
+    super();
+
+    this.maxLength = options.maxLength || 10000;
+    this.buffer = '';
+  }
+
+  /**
+   * Feed received data into the reader. Emits 'message' for every complete
+   * JSON object, 'invalid' for lines that are not one, and 'overflow' when a
+   * message grows beyond the size limit.
+   * @param {string|Buffer} chunk - Received data
+   */
+  push(chunk) {
+    this.buffer += chunk.toString();
+
+    let newline;
+    while ((newline = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newline).trim();
+      this.buffer = this.buffer.slice(newline + 1);
+
+      if (line) {
+        this._parse(line);
+      }
+    }
+
+    if (this.buffer.length > this.maxLength) {
+      this.buffer = '';
+      this.emit('overflow');
+      return;
+    }
+
+    // Older clients send a single JSON object without a trailing newline
+    const pending = this.buffer.trim();
+    if (pending.endsWith('}')) {
+      try {
+        const message = JSON.parse(pending);
+        this.buffer = '';
+        this._emitMessage(message, pending);
+      } catch (err) {
+        // Not complete yet, wait for more data
+      }
+    }
+  }
+
+  /**
+   * Parse one line and emit the result
+   * @param {string} line - Received line
+   * @private
+   */
+  _parse(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (err) {
+      this.emit('invalid', err, line);
+      return;
+    }
+    this._emitMessage(message, line);
+  }
+
+  /**
+   * Emit a parsed message if it is a JSON object
+   * @param {*} message - Parsed JSON value
+   * @param {string} line - Raw line
+   * @private
+   */
+  _emitMessage(message, line) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      this.emit('invalid', new Error('Expected a JSON object'), line);
+      return;
+    }
+    this.emit('message', message);
+  }
+}
+
+module.exports = { encodeMessage, MessageReader };
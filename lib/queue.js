@@ -0,0 +1,307 @@
+/**
+ * Download Queue Module
+ *
+ * This module keeps track of download jobs, persists them to disk so they
+ * survive restarts and decides when each job is allowed to run: one transfer
+ * per bot at a time, and never more than a global number of transfers.
+ */
+
+'use strict';
+
+// Get dependencies
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Job states that still need work
+const PENDING_STATES = ['queued', 'active'];
+
+/**
+ * File-backed store for download jobs
+ * @class JobStore
+ */
+class JobStore {
+  /**
+   * Create a new job store
+   * @param {string} file - Path of the JSON file holding the jobs
+   */
+  constructor(file) {
+    this.file = file;
+  }
+
+  /**
+   * Read all jobs from disk
+   * @returns {Array<Object>} Stored jobs, or an empty list if there is no store yet
+   */
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      return Array.isArray(data.jobs) ? data.jobs : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[QUEUE] Failed to read job store ${this.file}: ${err.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Write all jobs to disk, replacing the file atomically
+   * @param {Array<Object>} jobs - Jobs to store
+   */
+  save(jobs) {
+    const tmpFile = `${this.file}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(tmpFile, JSON.stringify({ jobs }, null, 2));
+      fs.renameSync(tmpFile, this.file);
+    } catch (err) {
+      console.error(`[QUEUE] Failed to write job store ${this.file}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Queue that schedules download jobs
+ * @class DownloadQueue
+ * @extends EventEmitter
+ */
+class DownloadQueue extends EventEmitter {
+  /**
+   * Create a new download queue
+   * @param {Object} options - Queue options
+   * @param {JobStore} options.store - Store used to persist jobs
+   * @param {number} [options.maxConcurrent=3] - Maximum number of transfers running at once
+   * @param {number} [options.historyLimit=100] - Number of finished jobs to keep
+   * @param {Function} [options.canRun] - Returns false for jobs that have to keep waiting
+   */
+  constructor(options) {
+    super();
+
+    this.store = options.store;
+    this.canRun = options.canRun || (() => true);
+    this.maxConcurrent = Math.max(1, parseInt(options.maxConcurrent, 10) || 3);
+    this.historyLimit = Math.max(0, parseInt(options.historyLimit, 10) || 100);
+    this.jobs = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Load stored jobs. Jobs that were running when the server stopped are put
+   * back in the queue so they resume from their partial files.
+   * @returns {Array<Object>} Jobs that still need to run
+   */
+  restore() {
+    const pending = [];
+
+    for (const job of this.store.load()) {
+      if (job.status === 'active') {
+        job.status = 'queued';
+        job.resumed = true;
+      }
+      this.jobs.set(job.id, job);
+      if (PENDING_STATES.includes(job.status)) {
+        pending.push(job);
+      }
+    }
+
+    this._persist();
+    return pending;
+  }
+
+  /**
+   * Add a new job to the queue
+   * @param {Object} fields - Job details
+   * @param {string} fields.bot - Bot nickname
+   * @param {string} fields.pack - Pack number
+   * @param {string} fields.path - Download destination directory
+   * @returns {Object} The queued job
+   */
+  add(fields) {
+    const now = Date.now();
+    const job = Object.assign({}, fields, {
+      id: crypto.randomBytes(8).toString('hex'),
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now
+    });
+
+    this.jobs.set(job.id, job);
+    this._persist();
+    this.emit('queued', job);
+    this._schedule();
+
+    return job;
+  }
+
+  /**
+   * Look up a job
+   * @param {string} id - Job ID
+   * @returns {Object|undefined} The job, if known
+   */
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * List all known jobs, oldest first
+   * @returns {Array<Object>} Jobs
+   */
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  /**
+   * Record details about a job without changing its state
+   * @param {string} id - Job ID
+   * @param {Object} fields - Fields to merge into the job
+   */
+  update(id, fields) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+
+    Object.assign(job, fields, { updatedAt: Date.now() });
+    this._persist();
+  }
+
+  /**
+   * Mark a running or queued job as finished and let the next one run
+   * @param {string} id - Job ID
+   * @param {string} status - Final state, e.g. 'completed' or 'failed'
+   * @param {Object} [fields] - Extra fields to record with the job
+   */
+  finish(id, status, fields) {
+    const job = this.jobs.get(id);
+    if (!job || !PENDING_STATES.includes(job.status)) return;
+
+    Object.assign(job, fields, { status, updatedAt: Date.now() });
+    this._prune();
+    this._persist();
+    this.emit('finished', job);
+    this._schedule();
+  }
+
+  /**
+   * Put a running job back in the queue, e.g. to try it again later
+   * @param {string} id - Job ID
+   * @param {Object} [fields] - Extra fields to record with the job
+   */
+  requeue(id, fields) {
+    const job = this.jobs.get(id);
+    if (!job || job.status !== 'active') return;
+
+    Object.assign(job, fields, { status: 'queued', updatedAt: Date.now() });
+    this._persist();
+    this._schedule();
+  }
+
+  /**
+   * Start handing jobs out for execution
+   */
+  start() {
+    this.running = true;
+    this._schedule();
+  }
+
+  /**
+   * Re-check whether waiting jobs can run, e.g. after their network became available
+   */
+  schedule() {
+    this._schedule();
+  }
+
+  /**
+   * Stop handing out new jobs. Running jobs are not affected.
+   */
+  pause() {
+    this.running = false;
+  }
+
+  /**
+   * Count jobs in each state
+   * @returns {Object} Number of queued and active jobs
+   */
+  stats() {
+    const stats = { queued: 0, active: 0 };
+    for (const job of this.jobs.values()) {
+      if (job.status in stats) stats[job.status]++;
+    }
+    return stats;
+  }
+
+  /**
+   * Run as many queued jobs as the limits allow
+   * @private
+   */
+  _schedule() {
+    if (!this.running) return;
+
+    const busyBots = new Set();
+    let active = 0;
+
+    for (const job of this.jobs.values()) {
+      if (job.status === 'active') {
+        busyBots.add(this._botKey(job));
+        active++;
+      }
+    }
+
+    // Every slot is taken before any job runs, as a 'run' handler may end
+    // its job right away and schedule again
+    const started = [];
+    for (const job of this.jobs.values()) {
+      if (active >= this.maxConcurrent) break;
+      if (job.status !== 'queued' || busyBots.has(this._botKey(job)) || !this.canRun(job)) continue;
+
+      job.status = 'active';
+      job.startedAt = Date.now();
+      job.updatedAt = job.startedAt;
+      busyBots.add(this._botKey(job));
+      active++;
+      started.push(job);
+    }
+
+    if (!started.length) return;
+    this._persist();
+
+    for (const job of started) {
+      // An earlier handler may have cancelled it meanwhile
+      if (job.status === 'active') this.emit('run', job);
+    }
+  }
+
+  /**
+   * Key used to serialize transfers from the same bot
+   * @param {Object} job - Job
+   * @returns {string} Bot key
+   * @private
+   */
+  _botKey(job) {
+    return `${job.network || ''}/${job.bot.toLowerCase()}`;
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond the history limit
+   * @private
+   */
+  _prune() {
+    const finished = this.list().filter(job => !PENDING_STATES.includes(job.status));
+    const excess = finished.length - this.historyLimit;
+
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  /**
+   * Write the current jobs to the store
+   * @private
+   */
+  _persist() {
+    this.store.save(this.list());
+  }
+}
+
+module.exports = { JobStore, DownloadQueue, PENDING_STATES };
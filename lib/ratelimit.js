@@ -0,0 +1,123 @@
+/**
+ * Rate Limit Module
+ *
+ * This module throttles DCC transfers with token buckets. Each transfer can
+ * have its own limit, and one limiter shared by all transfers caps the whole
+ * server, optionally with different limits at different times of day.
+ */
+
+'use strict';
+
+// Get dependencies
+const { parseBytes } = require('./units');
+
+/**
+ * Parse a rate in bytes per second
+ * @param {string|number} value - Rate, e.g. 524288, '512K' or '2M'
+ * @returns {number} Bytes per second, 0 for no limit
+ * @throws {Error} If the rate can't be parsed
+ */
+function parseRate(value) {
+  if (value === undefined || value === null || value === '') return 0;
+
+  const bytes = parseBytes(String(value).trim().replace(/\/s$/i, ''));
+  if (bytes === null) {
+    throw new Error(`Invalid rate: ${value}. Expected bytes per second, e.g. 524288, 512K or 2M`);
+  }
+  return bytes;
+}
+
+/**
+ * Parse time-of-day limits
+ * @param {string} value - Comma separated windows, e.g. '08:00-18:00=512K,18:00-23:00=2M'.
+ *   Windows may wrap around midnight, e.g. '22:00-06:00=0'
+ * @returns {Array<Object>} Windows with from and to in minutes after midnight and their rate
+ * @throws {Error} If a window can't be parsed
+ */
+function parseSchedule(value) {
+  if (!value) return [];
+
+  return String(value).split(',').map(item => item.trim()).filter(Boolean).map((item) => {
+    const match = item.match(/^(\d{1,2}):([0-5]\d)\s*-\s*(\d{1,2}):([0-5]\d)\s*=\s*(.+)$/);
+    const from = match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : NaN;
+    const to = match ? parseInt(match[3], 10) * 60 + parseInt(match[4], 10) : NaN;
+
+    if (!(from <= 24 * 60 && to <= 24 * 60)) {
+      throw new Error(`Invalid rate schedule window: ${item}. Expected HH:MM-HH:MM=rate`);
+    }
+    return { from, to, rate: parseRate(match[5]) };
+  });
+}
+
+/**
+ * Token bucket limiting the bytes per second of one or more transfers
+ * @class RateLimiter
+ */
+class RateLimiter {
+  /**
+   * Create a new rate limiter
+   * @param {Object} [options] - Limiter options
+   * @param {number} [options.rate=0] - Bytes per second, 0 for no limit
+   * @param {Array<Object>} [options.schedule=[]] - Windows from parseSchedule() overriding the rate
+   */
+  constructor(options = {}) {
+    this.rate = options.rate || 0;
+    this.schedule = options.schedule || [];
+
+    this.tokens = 0;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * The limit in force right now
+   * @param {Date} [now] - Time to look up in the schedule
+   * @returns {number} Bytes per second, 0 for no limit
+   */
+  currentRate(now = new Date()) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+
+    for (const window of this.schedule) {
+      const inside = window.from <= window.to
+        ? minutes >= window.from && minutes < window.to
+        : minutes >= window.from || minutes < window.to;
+      if (inside) return window.rate;
+    }
+    return this.rate;
+  }
+
+  /**
+   * Take received bytes from the bucket. The bucket may go into debt, which
+   * is paid off by waiting before reading more.
+   * @param {number} bytes - Bytes received
+   * @returns {number} Milliseconds to wait before reading again, 0 to go on
+   */
+  consume(bytes) {
+    const rate = this.currentRate();
+    const now = Date.now();
+
+    if (!rate) {
+      this.tokens = 0;
+      this.updatedAt = now;
+      return 0;
+    }
+
+    // Refill, holding at most one second worth of bytes as burst
+    this.tokens = Math.min(rate, this.tokens + ((now - this.updatedAt) / 1000) * rate);
+    this.updatedAt = now;
+    this.tokens -= bytes;
+
+    return this.tokens < 0 ? Math.ceil((-this.tokens / rate) * 1000) : 0;
+  }
+}
+
+/**
+ * The tightest of several limits
+ * @param {Array<number>} rates - Bytes per second, 0 for no limit
+ * @returns {number} Lowest limit, 0 if there is none
+ */
+function lowestRate(rates) {
+  const limits = rates.filter(rate => rate > 0);
+  return limits.length ? Math.min(...limits) : 0;
+}
+
+module.exports = { RateLimiter, parseRate, parseSchedule, lowestRate };
@@ -0,0 +1,32 @@
+/**
+ * Units Module
+ *
+ * This module reads the sizes written in the configuration, such as disk
+ * quotas and transfer rates, with the same binary suffixes everywhere.
+ */
+
+'use strict';
+
+// Multipliers of the size suffixes, e.g. 512K, 500G or 2T
+const UNITS = {
+  '': 1,
+  B: 1,
+  K: 1024,
+  M: 1024 * 1024,
+  G: 1024 * 1024 * 1024,
+  T: 1024 * 1024 * 1024 * 1024
+};
+
+/**
+ * Parse a number of bytes with an optional suffix
+ * @param {string|number} value - Bytes, e.g. 1073741824, '512K', '500G' or '2TiB'
+ * @returns {number|null} Bytes, or null if the value is not a size
+ */
+function parseBytes(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([BKMGT]?)(?:i?B)?$/i);
+  if (!match) return null;
+
+  return Math.floor(parseFloat(match[1]) * UNITS[match[2].toUpperCase()]);
+}
+
+module.exports = { parseBytes };
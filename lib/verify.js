@@ -0,0 +1,139 @@
+/**
+ * Verification Module
+ *
+ * This module checks finished downloads against the checksums published for
+ * them: the CRC32 release groups put in file names, e.g. `[A1B2C3D4]`, and
+ * the MD5 or CRC32 iroffer reports in its answer to XDCC INFO.
+ */
+
+'use strict';
+
+// Get dependencies
+const fs = require('fs');
+const crypto = require('crypto');
+
+// CRC32 (IEEE 802.3) lookup table
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+// Checksums found in XDCC INFO answers, e.g. ' md5sum     d41d8cd98f00b204e9800998ecf8427e'
+const INFO_PATTERNS = {
+  md5: /^\s*md5(?:sum)?\s*:?\s+([0-9a-f]{32})\s*$/i,
+  crc32: /^\s*crc32\s*:?\s+([0-9a-f]{8})\s*$/i
+};
+
+/**
+ * Continue a CRC32 over another chunk of data
+ * @param {number} crc - CRC of the data so far, 0 to start
+ * @param {Buffer} buffer - Next chunk
+ * @returns {number} CRC including the chunk
+ */
+function crc32(crc, buffer) {
+  let c = crc ^ -1;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+  }
+  return (c ^ -1) >>> 0;
+}
+
+/**
+ * Find the CRC32 tag of a file name, e.g. 'Show - 01 [A1B2C3D4].mkv'
+ * @param {string} filename - File name
+ * @returns {string|null} Lower case CRC32, the last tag if there are several
+ */
+function filenameChecksum(filename) {
+  const tags = String(filename).match(/\[[0-9a-f]{8}\]/ig);
+  return tags ? tags[tags.length - 1].slice(1, -1).toLowerCase() : null;
+}
+
+/**
+ * Recognise a checksum line of a bot's XDCC INFO answer
+ * @param {string} text - Message text
+ * @returns {Object|null} Checksum with its type ('md5' or 'crc32') and value, null if not a checksum line
+ */
+function parseInfoChecksum(text) {
+  for (const type of Object.keys(INFO_PATTERNS)) {
+    const match = String(text).match(INFO_PATTERNS[type]);
+    if (match) {
+      return { type, value: match[1].toLowerCase() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Collect the checksums a file can be verified against
+ * @param {string} filename - File name as offered by the bot
+ * @param {Object} [info] - Checksums from the bot's XDCC INFO answer, keyed by type
+ * @returns {Array<Object>} Checksums with their type, source and expected value
+ */
+function expectedChecksums(filename, info = {}) {
+  const checksums = [];
+
+  if (info.md5) {
+    checksums.push({ type: 'md5', source: 'xdcc_info', expected: info.md5 });
+  }
+  if (info.crc32) {
+    checksums.push({ type: 'crc32', source: 'xdcc_info', expected: info.crc32 });
+  }
+
+  const tag = filenameChecksum(filename);
+  if (tag && tag !== info.crc32) {
+    checksums.push({ type: 'crc32', source: 'filename', expected: tag });
+  }
+
+  return checksums;
+}
+
+/**
+ * Verify a file against the checksums known for it, reading it only once
+ * @param {string} location - File to verify
+ * @param {Array<Object>} checksums - Checksums from expectedChecksums()
+ * @param {Function} callback - Called with (err, result), where result has the
+ *   status ('verified', 'mismatch' or 'unverifiable') and the checksums with their actual values
+ */
+function verifyFile(location, checksums, callback) {
+  if (!checksums.length) {
+    callback(null, { status: 'unverifiable', checksums: [] });
+    return;
+  }
+
+  const types = new Set(checksums.map(checksum => checksum.type));
+  const md5 = types.has('md5') ? crypto.createHash('md5') : null;
+  let crc = 0;
+
+  fs.createReadStream(location)
+    .on('data', (chunk) => {
+      if (md5) md5.update(chunk);
+      if (types.has('crc32')) crc = crc32(crc, chunk);
+    })
+    .on('error', callback)
+    .on('end', () => {
+      const actual = {
+        md5: md5 ? md5.digest('hex') : null,
+        crc32: crc.toString(16).padStart(8, '0')
+      };
+
+      const results = checksums.map(checksum => Object.assign({}, checksum, { actual: actual[checksum.type] }));
+      const verified = results.every(result => result.actual === result.expected);
+
+      callback(null, { status: verified ? 'verified' : 'mismatch', checksums: results });
+    });
+}
+
+module.exports = {
+  crc32,
+  filenameChecksum,
+  parseInfoChecksum,
+  expectedChecksums,
+  verifyFile
+};
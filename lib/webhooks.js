@@ -0,0 +1,187 @@
+/**
+ * Webhooks Module
+ *
+ * This module tells other services about download lifecycle events by
+ * POSTing them as JSON to configured URLs, or to the callback URL a request
+ * asked for. Deliveries can be signed with an HMAC and are retried when the
+ * target does not answer with a 2xx status.
+ */
+
+'use strict';
+
+// Get dependencies
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Events that can be delivered, and the manager events they are built on
+const WEBHOOK_EVENTS = {
+  queued: 'queued',
+  started: 'connect',
+  complete: 'complete',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+/**
+ * Check that a URL can receive webhooks
+ * @param {string} url - URL
+ * @returns {string} The URL
+ * @throws {Error} If it is not an http or https URL
+ */
+function checkWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new Error(`Invalid webhook URL: ${url}`);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error(`Invalid webhook URL: ${url}. Only http and https are supported`);
+  }
+  return url;
+}
+
+/**
+ * Sender of webhook notifications for download jobs
+ * @class WebhookNotifier
+ */
+class WebhookNotifier {
+  /**
+   * Create a new webhook notifier
+   * @param {Object} options - Notifier options
+   * @param {DownloadManager} options.manager - Download manager to follow
+   * @param {Object} options.logger - Logger with info/warn/error/debug methods
+   * @param {Array<string>} [options.urls=[]] - URLs notified about every job without a callback URL
+   * @param {Array<string>} [options.events] - Events to deliver, all by default
+   * @param {string} [options.secret] - Key for the X-Xdcc-Signature HMAC of each delivery
+   * @param {number} [options.attempts=4] - Deliveries tried before giving up
+   * @param {number} [options.delay=5] - Seconds before the first retry, doubled for every further one
+   * @param {number} [options.timeout=10] - Seconds to wait for an answer
+   */
+  constructor(options) {
+    this.manager = options.manager;
+    this.logger = options.logger;
+    this.urls = (options.urls || []).map(checkWebhookUrl);
+    this.events = options.events || Object.keys(WEBHOOK_EVENTS);
+    this.secret = options.secret || null;
+    // 0 is meaningful for both: a single delivery, or retrying right away
+    this.attempts = options.attempts === undefined ? 4 : options.attempts;
+    this.delay = options.delay === undefined ? 5 : options.delay;
+    this.timeout = options.timeout || 10;
+
+    for (const event of this.events) {
+      if (!WEBHOOK_EVENTS[event]) {
+        throw new Error(`Unknown webhook event: ${event}. Expected any of ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+      }
+    }
+
+    this._followManager();
+  }
+
+  /**
+   * Deliver an event about a job to its targets
+   * @param {string} event - Webhook event
+   * @param {Object} job - Job
+   */
+  notify(event, job) {
+    const urls = job.callbackUrl ? [job.callbackUrl] : this.urls;
+    if (urls.length === 0) return;
+
+    const body = JSON.stringify({
+      event,
+      delivery_id: crypto.randomBytes(8).toString('hex'),
+      timestamp: new Date().toISOString(),
+      job: this.manager.describe(job)
+    });
+
+    for (const url of urls) {
+      this._deliver(url, event, body, 1);
+    }
+  }
+
+  /**
+   * Translate download manager events into webhook events
+   * @private
+   */
+  _followManager() {
+    for (const event of this.events) {
+      this.manager.on(WEBHOOK_EVENTS[event], job => this.notify(event, job));
+    }
+  }
+
+  /**
+   * POST a delivery, retrying it later if it fails
+   * @param {string} url - Target URL
+   * @param {string} event - Webhook event
+   * @param {string} body - JSON payload
+   * @param {number} attempt - Number of this attempt, starting at 1
+   * @private
+   */
+  _deliver(url, event, body, attempt) {
+    this._post(url, event, body, (err) => {
+      if (!err) {
+        this.logger.debug(`Delivered ${event} webhook to ${url}`);
+        return;
+      }
+
+      if (attempt >= this.attempts) {
+        this.logger.error(`Giving up on ${event} webhook to ${url} after ${attempt} attempts: ${err.message}`);
+        return;
+      }
+
+      const seconds = this.delay * Math.pow(2, attempt - 1);
+      this.logger.warn(`Failed to deliver ${event} webhook to ${url}: ${err.message}. Retrying in ${seconds}s`);
+
+      const timer = setTimeout(() => this._deliver(url, event, body, attempt + 1), seconds * 1000);
+      timer.unref();
+    });
+  }
+
+  /**
+   * Send a single POST request
+   * @param {string} url - Target URL
+   * @param {string} event - Webhook event
+   * @param {string} body - JSON payload
+   * @param {Function} callback - Called with an error unless the target answered with 2xx
+   * @private
+   */
+  _post(url, event, body, callback) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'xdcc-download-server',
+      'X-Xdcc-Event': event
+    };
+
+    if (this.secret) {
+      headers['X-Xdcc-Signature'] = 'sha256=' + crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+    }
+
+    let done = false;
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      callback(err);
+    };
+
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, { method: 'POST', headers }, (res) => {
+      res.resume();
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        finish(null);
+      } else {
+        finish(new Error(`HTTP ${res.statusCode}`));
+      }
+    });
+
+    req.setTimeout(this.timeout * 1000, () => {
+      req.destroy(new Error(`No answer within ${this.timeout}s`));
+    });
+    req.on('error', finish);
+    req.end(body);
+  }
+}
+
+module.exports = { WebhookNotifier, checkWebhookUrl, WEBHOOK_EVENTS };
@@ -10,9 +10,21 @@
 'use strict';
 
 // Load dependencies
-const irc = require('irc');
-const axdcc = require('./lib/axdcc');
+const { JobStore, DownloadQueue } = require('./lib/queue');
+const { DownloadManager } = require('./lib/manager');
+const { NetworkPool, NetworkUnavailableError, loadNetworkConfig } = require('./lib/networks');
+const { HttpApi } = require('./lib/http');
+const { EventStream } = require('./lib/events');
+const { Metrics } = require('./lib/metrics');
+const { encodeMessage, MessageReader } = require('./lib/protocol');
+const { parseTemplate } = require('./lib/paths');
+const { loadPipelineConfig } = require('./lib/postprocess');
+const { WebhookNotifier } = require('./lib/webhooks');
+const { parseRate, parseSchedule } = require('./lib/ratelimit');
+const { parseQuotas } = require('./lib/diskspace');
+const { TokenAuth, AuthError, loadTokenConfig, parseTokens } = require('./lib/auth');
 const net = require('net');
+const tls = require('tls');
 const path = require('path');
 const fs = require('fs');
 const dotenv = require('dotenv');
@@ -25,14 +37,64 @@ dotenv.config();
 // Configuration variables with defaults
 const PORT = process.env.PORT || 8080;
 const HOST = process.env.HOST || '0.0.0.0';
+const HTTP_PORT = process.env.HTTP_PORT || 8081;
+const API_TOKENS = process.env.API_TOKENS; // Comma separated name:token pairs with every permission
+const TOKENS_FILE = process.env.TOKENS_FILE; // JSON file with API tokens and their permissions
+const API_TLS_CERT = process.env.API_TLS_CERT; // PEM certificate, serves the TCP and HTTP APIs over TLS
+const API_TLS_KEY = process.env.API_TLS_KEY; // PEM private key of API_TLS_CERT
+const API_TLS_CLIENT_CA = process.env.API_TLS_CLIENT_CA; // PEM CA, clients must present a certificate it signed
 const FILE_DESTINATION = process.env.FILE_DESTINATION || '/data';
 const IRC_SERVER = process.env.IRC_SERVER || 'irc.site.net';
+const IRC_TLS = process.env.IRC_TLS === 'true'; // Connect to IRC_SERVER over TLS
+const IRC_PORT = process.env.IRC_PORT || (IRC_TLS ? 6697 : 6667);
+const IRC_TLS_SELF_SIGNED = process.env.IRC_TLS_SELF_SIGNED === 'true'; // Accept a self-signed certificate from IRC_SERVER
+const IRC_TLS_CA = process.env.IRC_TLS_CA; // PEM CA that signed the certificate of IRC_SERVER
 const IRC_NICK = process.env.IRC_NICK || 'ghost_rider';
 const IRC_CHANNEL = process.env.IRC_CHANNEL || '#channel';
+const IRC_PASSWORD = process.env.IRC_PASSWORD; // Services password, identifies the nick before downloading
+const IRC_ACCOUNT = process.env.IRC_ACCOUNT; // Services account name, defaults to IRC_NICK
+const IRC_AUTH = process.env.IRC_AUTH || 'sasl'; // sasl or nickserv, how to identify with IRC_PASSWORD
+const IRC_ALT_NICKS = process.env.IRC_ALT_NICKS; // Comma separated nicks to use when IRC_NICK is taken
+const IRC_GHOST = process.env.IRC_GHOST !== 'false'; // Ask NickServ to release IRC_NICK when it is taken
+const IRC_NETWORK_NAME = process.env.IRC_NETWORK_NAME || 'default'; // Name of the network defined by IRC_SERVER
+const NETWORKS_FILE = process.env.NETWORKS_FILE; // JSON file defining several networks, replaces IRC_SERVER
+const DEFAULT_NETWORK = process.env.DEFAULT_NETWORK; // Network used when a request names none
+const MAX_CHANNELS_PER_NETWORK = process.env.MAX_CHANNELS_PER_NETWORK || 10; // Channels joined at once on each network
+const CHANNEL_IDLE_TIMEOUT = process.env.CHANNEL_IDLE_TIMEOUT || 300; // Seconds before leaving a channel no download needs
+const IRC_RECONNECT_DELAY = process.env.IRC_RECONNECT_DELAY || 5; // Seconds before reconnecting to IRC, doubled for every failed attempt
+const IRC_RECONNECT_MAX_DELAY = process.env.IRC_RECONNECT_MAX_DELAY || 300; // Longest wait between two IRC connection attempts
+const IRC_UNAVAILABLE_POLICY = process.env.IRC_UNAVAILABLE_POLICY || 'queue'; // queue or reject downloads while IRC is reconnecting
 const PROGRESS_INTERVAL = process.env.PROGRESS_INTERVAL || 1; // Seconds
 const LOG_FILE = process.env.LOG_FILE || '/var/log/xdcc-download.log';
 const PROGRESS_UPDATE_PERCENT = process.env.PROGRESS_UPDATE_PERCENT || 5; // Send updates every 5% by default
 const DISABLE_PROGRESS_ANSI = process.env.DISABLE_PROGRESS_ANSI === 'true' || true; // Disable ANSI codes in Docker
+const MAX_CONCURRENT_DOWNLOADS = process.env.MAX_CONCURRENT_DOWNLOADS || 3; // Across all bots
+const QUEUE_FILE = process.env.QUEUE_FILE || path.join(FILE_DESTINATION, '.xdcc-queue.json');
+const JOB_HISTORY_LIMIT = process.env.JOB_HISTORY_LIMIT || 100; // Finished jobs kept in the queue file
+const DCC_PASSIVE_PORTS = process.env.DCC_PASSIVE_PORTS; // e.g. 50000-50100, ports we listen on when bots are behind NAT
+const DCC_PASSIVE_HOST = process.env.DCC_PASSIVE_HOST; // Public IPv4 address bots connect to for passive DCC
+const DCC_SEND_TIMEOUT = process.env.DCC_SEND_TIMEOUT || 60; // Seconds to wait for the bot to offer the pack
+const DCC_ACCEPT_TIMEOUT = process.env.DCC_ACCEPT_TIMEOUT || 30; // Seconds to wait for the bot to accept a resume
+const DCC_CONNECT_TIMEOUT = process.env.DCC_CONNECT_TIMEOUT || 30; // Seconds to wait for the DCC connection
+const RESUME_POLICY = process.env.RESUME_POLICY || 'restart'; // restart or fail when a bot doesn't accept a resume
+const COLLISION_POLICY = process.env.COLLISION_POLICY || 'rename'; // rename, overwrite, skip or fail when the file already exists
+const PATH_TEMPLATE = process.env.PATH_TEMPLATE || '{filename}'; // e.g. {network}/{bot}/{yyyy}-{mm}/{filename}
+const VERIFY_DOWNLOADS = process.env.VERIFY_DOWNLOADS === 'true'; // Check finished files against their CRC32 or the bot's MD5
+const VERIFY_MISMATCH = process.env.VERIFY_MISMATCH || 'keep'; // keep or redownload files that fail verification
+const POSTPROCESS_FILE = process.env.POSTPROCESS_FILE; // JSON file with the steps run for every completed download
+const MAX_RATE = process.env.MAX_RATE; // Bytes per second for all downloads together, e.g. 2M, unlimited by default
+const RATE_SCHEDULE = process.env.RATE_SCHEDULE; // Time-of-day limits, e.g. 08:00-18:00=512K,18:00-23:00=2M
+const QUOTAS = process.env.QUOTAS; // Most bytes stored per download directory, e.g. movies=500G,tv=1T
+const WEBHOOK_URLS = process.env.WEBHOOK_URLS; // Comma separated URLs notified about every job
+const WEBHOOK_EVENTS = process.env.WEBHOOK_EVENTS; // Comma separated events to deliver, all by default
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET; // Key for the HMAC signature of each delivery
+const WEBHOOK_RETRY_ATTEMPTS = process.env.WEBHOOK_RETRY_ATTEMPTS || 4; // Deliveries tried before giving up
+const WEBHOOK_RETRY_DELAY = process.env.WEBHOOK_RETRY_DELAY || 5; // Seconds before the first retry, doubled for every further one
+const WEBHOOK_TIMEOUT = process.env.WEBHOOK_TIMEOUT || 10; // Seconds to wait for a webhook target to answer
+const RETRY_ATTEMPTS = process.env.RETRY_ATTEMPTS || 3; // Retries of a failed transfer, 0 disables retrying
+const RETRY_DELAY = process.env.RETRY_DELAY || 30; // Seconds before the first retry, doubled for every further one
+const RETRY_MAX_DELAY = process.env.RETRY_MAX_DELAY || 600; // Longest wait between two attempts in seconds
+const RETRY_ERRORS = process.env.RETRY_ERRORS; // Comma separated error codes worth retrying, replaces the defaults
 
 // Create destination directory if it doesn't exist
 if (!fs.existsSync(FILE_DESTINATION)) {
@@ -129,8 +191,8 @@ const logger = {
 function safeSocketWrite(socket, data, callback) {
     if (socket && !socket.destroyed && socket.writable) {
         try {
-            // Convert to string if object
-            const responseStr = typeof data === 'object' ? JSON.stringify(data) : data.toString();
+            // Encode objects as newline-delimited JSON
+            const responseStr = typeof data === 'object' ? encodeMessage(data) : data.toString();
             return socket.write(responseStr, (err) => {
                 if (err) {
                     logger.error(`Error writing to socket: ${err.message}`);
@@ -169,323 +231,670 @@ function safeSocketEnd(socket) {
     }
 }
 
-// Validate and sanitize directory path
-function sanitizePath(userPath) {
-    // Don't allow absolute paths starting with / or paths with ..
-    if (!userPath || typeof userPath !== 'string') {
-        return FILE_DESTINATION;
-    }
+// Log server startup with version info
+logger.info(`Starting XDCC Download Server`);
+logger.info(`Node.js version: ${process.version}`);
+logger.info(`Log file: ${LOG_FILE}`);
+logger.info(`Default download directory: ${FILE_DESTINATION}`);
+logger.info(`Progress format: ${DISABLE_PROGRESS_ANSI ? 'Docker-compatible (line by line)' : 'Interactive (ANSI)'}`);
+logger.info(`Job queue: ${QUEUE_FILE} (max ${MAX_CONCURRENT_DOWNLOADS} concurrent downloads)`);
+
+// Set IRC configuration: either a networks file or the single network from IRC_SERVER
+let networkConfig;
+try {
+    networkConfig = NETWORKS_FILE ? loadNetworkConfig(NETWORKS_FILE) : {
+        [IRC_NETWORK_NAME]: {
+            server: IRC_SERVER,
+            port: parseInt(IRC_PORT, 10),
+            tls: IRC_TLS,
+            selfSigned: IRC_TLS_SELF_SIGNED,
+            ca: IRC_TLS_CA,
+            nick: IRC_NICK,
+            password: IRC_PASSWORD,
+            account: IRC_ACCOUNT,
+            auth: IRC_AUTH,
+            altNicks: IRC_ALT_NICKS ? IRC_ALT_NICKS.split(',').map(nick => nick.trim()).filter(Boolean) : [],
+            ghost: IRC_GHOST,
+            channels: [IRC_CHANNEL]
+        }
+    };
+} catch (err) {
+    logger.error(`Failed to load networks from ${NETWORKS_FILE}: ${err.message}`);
+    process.exit(1);
+}
 
-    // Remove leading/trailing slashes and sanitize
-    const sanitized = path.normalize(userPath)
-        .replace(/^(\.\.[\/\\])+/, '') // Remove any attempts to go up directories
-        .replace(/^\/+/, ''); // Remove leading slashes
+// One IRC client per network
+let networks;
+try {
+    networks = new NetworkPool({
+        networks: networkConfig,
+        defaultNetwork: DEFAULT_NETWORK,
+        defaults: {
+            maxChannels: parseInt(MAX_CHANNELS_PER_NETWORK, 10),
+            channelIdleTimeout: parseInt(CHANNEL_IDLE_TIMEOUT, 10),
+            reconnectDelay: parseInt(IRC_RECONNECT_DELAY, 10),
+            reconnectMaxDelay: parseInt(IRC_RECONNECT_MAX_DELAY, 10)
+        },
+        logger
+    });
+} catch (err) {
+    logger.error(`Failed to set up IRC networks: ${err.message}`);
+    process.exit(1);
+}
+logger.info(`IRC networks: ${networks.list().map(network => network.name).join(', ')} (default: ${networks.defaultName})`);
+
+// Download queue, persisted so pending jobs survive restarts
+const queue = new DownloadQueue({
+    store: new JobStore(QUEUE_FILE),
+    maxConcurrent: MAX_CONCURRENT_DOWNLOADS,
+    historyLimit: JOB_HISTORY_LIMIT
+});
+
+// Parse a port range such as "50000-50100" (or a single port) for passive DCC
+function parsePortRange(value) {
+    if (!value) return undefined;
 
-    // Combine with base destination path
-    const fullPath = path.join(FILE_DESTINATION, sanitized);
+    const match = String(value).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+    const low = match ? parseInt(match[1], 10) : NaN;
+    const high = match && match[2] ? parseInt(match[2], 10) : low;
 
-    // Make sure the directory exists
+    if (!(low > 0 && high >= low && high <= 65535)) {
+        logger.error(`Invalid DCC_PASSIVE_PORTS: ${value}`);
+        process.exit(1);
+    }
+    return [low, high];
+}
+
+// Make sure the destination template can be used before accepting requests
+function checkTemplate(template) {
     try {
-        fs.mkdirSync(fullPath, { recursive: true });
-        logger.debug(`Created custom download path: ${fullPath}`);
+        parseTemplate(template);
     } catch (err) {
-        logger.error(`Failed to create download directory ${fullPath}: ${err.message}`);
-        return FILE_DESTINATION; // Fallback to default path
+        logger.error(`Invalid PATH_TEMPLATE: ${err.message}`);
+        process.exit(1);
     }
+    return template;
+}
 
-    return fullPath;
+// Post-processing steps for completed downloads
+let postprocessSteps = [];
+if (POSTPROCESS_FILE) {
+    try {
+        postprocessSteps = loadPipelineConfig(POSTPROCESS_FILE);
+    } catch (err) {
+        logger.error(`Failed to load post-processing steps from ${POSTPROCESS_FILE}: ${err.message}`);
+        process.exit(1);
+    }
 }
 
-// Log server startup with version info
-logger.info(`Starting XDCC Download Server`);
-logger.info(`Node.js version: ${process.version}`);
-logger.info(`Log file: ${LOG_FILE}`);
-logger.info(`Default download directory: ${FILE_DESTINATION}`);
-logger.info(`Progress format: ${DISABLE_PROGRESS_ANSI ? 'Docker-compatible (line by line)' : 'Interactive (ANSI)'}`);
+// Global bandwidth limit
+let rateLimit;
+try {
+    rateLimit = {
+        rate: parseRate(MAX_RATE),
+        schedule: parseSchedule(RATE_SCHEDULE)
+    };
+} catch (err) {
+    logger.error(`Invalid bandwidth limit: ${err.message}`);
+    process.exit(1);
+}
 
-// Set IRC configuration
-const ircConfig = {
-    server: IRC_SERVER,
-    nick: IRC_NICK,
-    options: {
-        channels: [IRC_CHANNEL],
-        userName: IRC_NICK,
-        realName: IRC_NICK,
-        debug: false,
-        stripColors: true,
-        retryCount: 3,
-        retryDelay: 2000
-    }
-};
+// Quotas of download directories, relative to FILE_DESTINATION
+let quotas;
+try {
+    quotas = parseQuotas(QUOTAS);
+} catch (err) {
+    logger.error(`Invalid quotas: ${err.message}`);
+    process.exit(1);
+}
 
-// Connect to the IRC server
-const client = new irc.Client(ircConfig.server, ircConfig.nick, ircConfig.options);
-logger.info(`Connecting to ${ircConfig.server} as ${ircConfig.nick}`);
+// What happens to downloads asked for while their network is reconnecting
+if (!['queue', 'reject'].includes(IRC_UNAVAILABLE_POLICY)) {
+    logger.error(`Invalid IRC_UNAVAILABLE_POLICY: ${IRC_UNAVAILABLE_POLICY}. Expected queue or reject`);
+    process.exit(1);
+}
 
-// Handle IRC events
-client.on('registered', (message) => {
-    logger.info(`Connected to IRC server successfully`);
+// Download manager shared by the TCP and HTTP APIs
+const manager = new DownloadManager({
+    networks,
+    queue,
+    logger,
+    root: FILE_DESTINATION,
+    progressInterval: PROGRESS_INTERVAL,
+    resumePolicy: RESUME_POLICY,
+    collisionPolicy: COLLISION_POLICY,
+    unavailablePolicy: IRC_UNAVAILABLE_POLICY,
+    template: checkTemplate(PATH_TEMPLATE),
+    verify: {
+        enabled: VERIFY_DOWNLOADS,
+        onMismatch: VERIFY_MISMATCH
+    },
+    postprocess: postprocessSteps,
+    rateLimit,
+    quotas,
+    passive: {
+        ports: parsePortRange(DCC_PASSIVE_PORTS),
+        host: DCC_PASSIVE_HOST
+    },
+    timeouts: {
+        send: parseInt(DCC_SEND_TIMEOUT, 10),
+        accept: parseInt(DCC_ACCEPT_TIMEOUT, 10),
+        connect: parseInt(DCC_CONNECT_TIMEOUT, 10)
+    },
+    retry: {
+        attempts: parseInt(RETRY_ATTEMPTS, 10),
+        delay: parseInt(RETRY_DELAY, 10),
+        maxDelay: parseInt(RETRY_MAX_DELAY, 10),
+        errors: RETRY_ERRORS ? RETRY_ERRORS.split(',').map(code => code.trim()).filter(Boolean) : undefined
+    }
 });
 
-client.on('join', (channel, nick, message) => {
-    if (nick === ircConfig.nick && channel === ircConfig.options.channels[0]) {
-        logger.info(`Joined channel ${channel}`);
+// TCP client sockets following each job, keyed by job ID
+const subscriptions = new Map();
+
+// Attach a client socket to a job so it receives the job's status messages
+function subscribe(jobId, socket, request) {
+    if (!subscriptions.has(jobId)) {
+        subscriptions.set(jobId, new Map());
     }
-});
+    subscriptions.get(jobId).set(socket, {
+        sendProgress: request.send_progress === true,
+        requestId: request.request_id
+    });
+}
+
+// Whether a socket is following any job that is still running
+function hasPendingSubscriptions(socket) {
+    for (const [jobId, subscribers] of subscriptions.entries()) {
+        const job = manager.get(jobId);
+        if (subscribers.has(socket) && job && manager.isPending(job)) return true;
+    }
+    return false;
+}
+
+// Echo the client's request ID back in a reply
+function withRequestId(data, requestId) {
+    return requestId === undefined ? data : Object.assign({ request_id: requestId }, data);
+}
+
+// Send a reply to a command
+function reply(socket, request, data, callback) {
+    return safeSocketWrite(socket, withRequestId(data, request.request_id), callback);
+}
+
+// Send a message to every socket subscribed to a job
+function notifySubscribers(jobId, data, options = {}) {
+    const subscribers = subscriptions.get(jobId);
+    if (!subscribers) return;
+
+    for (const [socket, subscription] of subscribers.entries()) {
+        if (options.progress && !subscription.sendProgress) continue;
+        safeSocketWrite(socket, withRequestId(data, subscription.requestId));
+    }
+}
 
-client.on('error', (error) => {
-    logger.error(`IRC error: ${JSON.stringify(error)}`);
+// Send the final message of a job to its subscribers. Their sockets stay open for more commands.
+function finishSubscribers(job, data) {
+    const subscribers = subscriptions.get(job.id);
+    subscriptions.delete(job.id);
 
-    // Attempt to reconnect if disconnected
-    if (error.command === 'ECONNRESET' || error.command === 'ETIMEDOUT') {
-        logger.info('Attempting to reconnect to IRC server...');
+    if (!subscribers || subscribers.size === 0) {
+        logger.info(`No active socket for ${job.status} download ${job.filename || job.id}`);
+        return;
     }
+
+    for (const [socket, subscription] of subscribers.entries()) {
+        safeSocketWrite(socket, withRequestId(data, subscription.requestId), (err) => {
+            if (err) {
+                logger.error(`Failed to send ${data.status} response: ${err.message}`);
+            } else {
+                logger.debug(`${data.status} response sent to client`);
+            }
+        });
+    }
+}
+
+// Final message for a job that has already finished
+function finalResponse(job) {
+    if (job.status === 'completed') {
+        return {
+            status: 'success',
+            job_id: job.id,
+            filename: job.filename,
+            path: job.location,
+            size: job.size,
+            skipped: Boolean(job.skipped),
+            verification: job.verification || null,
+            checksums: job.checksums || [],
+            postprocess: job.postprocess || null,
+            pack_number: job.pack
+        };
+    }
+
+    if (job.status === 'cancelled') {
+        return {
+            status: 'cancelled',
+            job_id: job.id,
+            message: `Download of pack #${job.pack} from ${job.bot} was cancelled`,
+            pack_number: job.pack,
+            partial_deleted: job.partialDeleted === true
+        };
+    }
+
+    // The bot answered with an invalid pack or one of its limits
+    if (job.reason) {
+        return {
+            status: 'error',
+            job_id: job.id,
+            message: `${job.bot} refused the request: ${job.error}`,
+            code: job.errorCode || null,
+            reason: job.reason,
+            pack_number: job.pack
+        };
+    }
+
+    return {
+        status: 'error',
+        job_id: job.id,
+        message: `Download failed: ${job.error}`,
+        code: job.errorCode || null,
+        pack_number: job.pack
+    };
+}
+
+// Forward download events to the TCP clients following each job
+manager.on('progress', (job, pack, received) => {
+    const progressUpdate = {
+        status: 'progress',
+        job_id: job.id,
+        filename: job.filename,
+        progress: Math.floor((received / pack.filesize) * 100),
+        received: received,
+        total: pack.filesize,
+        rate_limit: manager.rateLimit(job) || null
+    };
+    notifySubscribers(job.id, progressUpdate, { progress: true });
 });
 
-client.on('netError', (error) => {
-    logger.error(`IRC network error: ${error.message}`);
+manager.on('botqueued', (job, botReply) => {
+    notifySubscribers(job.id, {
+        status: 'queued',
+        job_id: job.id,
+        message: botReply.message,
+        position: botReply.position,
+        total: botReply.total,
+        pack_number: job.pack
+    });
 });
 
-client.on('notice', (nick, to, text) => {
-    if (nick === 'NickServ' || nick === 'ChanServ') {
-        logger.debug(`${nick}: ${text}`);
-    }
+manager.on('restarting', (job, pack, reason) => {
+    notifySubscribers(job.id, {
+        status: 'restarting',
+        job_id: job.id,
+        message: `${reason.message}, downloading ${pack.filename} from the start`,
+        code: reason.code,
+        stale_partial: pack.stalePath,
+        pack_number: job.pack
+    });
 });
 
-// Active downloads tracking
-const activeDownloads = new Map();
+manager.on('retrying', (job) => {
+    notifySubscribers(job.id, {
+        status: 'retrying',
+        job_id: job.id,
+        message: `Download failed: ${job.error}`,
+        code: job.errorCode,
+        attempt: job.attempts + 1,
+        max_attempts: manager.retry.attempts + 1,
+        retry_at: new Date(job.retryAt).toISOString(),
+        pack_number: job.pack
+    });
+});
 
-// XDCC transfer handlers
-const xdccHandlers = {
-    connect: (pack) => {
-        logger.info(`Starting download of ${pack.filename} (${formatSize(pack.filesize)})`);
-    },
+manager.on('unavailable', (job) => {
+    const network = networks.get(job.network);
+    notifySubscribers(job.id, {
+        status: 'irc_unavailable',
+        job_id: job.id,
+        message: `${job.error}, pack #${job.pack} will be requested again once it is reconnected`,
+        code: job.errorCode,
+        network: network.name,
+        retry_at: network.retryAt ? new Date(network.retryAt).toISOString() : null,
+        pack_number: job.pack
+    });
+});
 
-    progress: (pack, received) => {
-        const progressPercent = Math.floor((received / pack.filesize) * 100);
-
-        // Log progress in the server - this should now work better with Docker
-        logger.progress(`${progressPercent}% of ${pack.filename} (${formatSize(received)}/${formatSize(pack.filesize)})`);
-
-        // Send progress updates to client
-        const downloadId = pack.filename + '|' + pack.port;
-        const downloadTracker = activeDownloads.get(downloadId);
-
-        if (downloadTracker && downloadTracker.socket) {
-            const progressUpdate = {
-                status: 'progress',
-                filename: pack.filename,
-                progress: progressPercent,
-                received: received,
-                total: pack.filesize
-            };
-            safeSocketWrite(downloadTracker.socket, progressUpdate);
-            logger.debug(`Sent progress update to client: ${progressPercent}%`);
-        }
-    },
+manager.on('postprocess', (job, result, index) => {
+    notifySubscribers(job.id, {
+        status: 'postprocess',
+        job_id: job.id,
+        step: index + 1,
+        steps: manager.postprocess.length,
+        type: result.type,
+        result: result.status,
+        output: result.output,
+        error: result.error,
+        path: result.path,
+        pack_number: job.pack
+    });
+});
 
-    complete: (pack) => {
-        logger.info(`Completed download of ${pack.filename} to ${pack.location}`);
+manager.on('complete', (job) => {
+    const response = finalResponse(job);
+    logger.debug(`Sending success response: ${JSON.stringify(response)}`);
+    finishSubscribers(job, response);
+});
 
-        const downloadId = pack.filename + '|' + pack.port;
-        const downloadTracker = activeDownloads.get(downloadId);
+manager.on('failed', (job) => {
+    const errorResponse = finalResponse(job);
+    logger.error(`Sending error response: ${JSON.stringify(errorResponse)}`);
+    finishSubscribers(job, errorResponse);
+});
 
-        if (downloadTracker && downloadTracker.socket) {
-            const response = {
-                status: 'success',
-                filename: pack.filename,
-                path: pack.location,
-                size: pack.filesize,
-                pack_number: downloadTracker.packNumber
-            };
+manager.on('cancelled', (job) => {
+    finishSubscribers(job, finalResponse(job));
+});
 
-            logger.debug(`Sending success response: ${JSON.stringify(response)}`);
+// API tokens; without any, everyone who can reach the APIs may use them
+let auth;
+try {
+    auth = new TokenAuth({
+        manager,
+        tokens: parseTokens(API_TOKENS).concat(TOKENS_FILE ? loadTokenConfig(TOKENS_FILE) : [])
+    });
+} catch (err) {
+    logger.error(`Failed to load API tokens: ${err.message}`);
+    process.exit(1);
+}
 
-            // Send response and wait for it to be written before closing
-            safeSocketWrite(downloadTracker.socket, response, (err) => {
-                if (err) {
-                    logger.error(`Failed to send success response: ${err.message}`);
-                } else {
-                    logger.debug(`Success response sent to client`);
-                }
+if (auth.enabled) {
+    logger.info(`API requires one of ${auth.tokens.size} token(s)`);
+} else {
+    logger.warn('No API tokens configured, anyone who can reach the API can queue downloads');
+}
 
-                // Wait a moment to ensure the data is sent before closing
-                setTimeout(() => {
-                    safeSocketEnd(downloadTracker.socket);
-                    logger.debug(`Socket closed after success response`);
+// TLS for the TCP and HTTP APIs, optionally only for clients with a certificate
+let apiTls = null;
+if (API_TLS_CERT || API_TLS_KEY || API_TLS_CLIENT_CA) {
+    if (!API_TLS_CERT || !API_TLS_KEY) {
+        logger.error('API_TLS_CERT and API_TLS_KEY must be set together');
+        process.exit(1);
+    }
 
-                    // Remove from active downloads
-                    activeDownloads.delete(downloadId);
-                }, 200);
+    try {
+        apiTls = {
+            cert: fs.readFileSync(API_TLS_CERT),
+            key: fs.readFileSync(API_TLS_KEY)
+        };
+        if (API_TLS_CLIENT_CA) {
+            Object.assign(apiTls, {
+                ca: fs.readFileSync(API_TLS_CLIENT_CA),
+                requestCert: true,
+                rejectUnauthorized: true
             });
-        } else {
-            logger.info(`No active socket for completed download ${pack.filename}`);
-            // Clean up anyway
-            activeDownloads.delete(downloadId);
         }
-    },
+        // Fails early on a key that does not match the certificate
+        tls.createSecureContext(apiTls);
+    } catch (err) {
+        logger.error(`Failed to load API TLS certificate: ${err.message}`);
+        process.exit(1);
+    }
+}
+const apiSecurity = !apiTls ? 'plaintext' : (API_TLS_CLIENT_CA ? 'TLS, client certificates required' : 'TLS');
 
-    error: (pack, error) => {
-        // For Docker compatibility
-        const filename = pack && pack.filename ? pack.filename : 'unknown file';
-        logger.error(`Download error with ${filename}: ${JSON.stringify(error)}`);
+// Pick up jobs left over from the previous run; they start once IRC is connected
+const restoredJobs = manager.restore();
+if (restoredJobs.length > 0) {
+    logger.info(`Restored ${restoredJobs.length} pending download job(s) from ${QUEUE_FILE}`);
+}
 
-        // Get the download tracker
-        const downloadId = pack && pack.filename && pack.port ?
-            pack.filename + '|' + pack.port : 'unknown';
-        const downloadTracker = activeDownloads.get(downloadId);
+// Connect to the IRC networks; jobs start as soon as their network is ready
+networks.connect();
+manager.start();
 
-        if (downloadTracker && downloadTracker.socket) {
-            const errorResponse = {
-                status: 'error',
-                message: `Download failed: ${JSON.stringify(error)}`,
-                pack_number: downloadTracker.packNumber
-            };
+// Look up the job a command refers to, as long as the client's token may see it
+function findRequestedJob(request, principal) {
+    const { job_id } = request;
 
-            logger.error(`Sending error response: ${JSON.stringify(errorResponse)}`);
+    if (!job_id) {
+        throw new Error('Invalid request format. Required fields: job_id');
+    }
 
-            // Send error and wait for it to be written before closing
-            safeSocketWrite(downloadTracker.socket, errorResponse, (err) => {
-                if (err) {
-                    logger.error(`Failed to send error response: ${err.message}`);
-                } else {
-                    logger.debug(`Error response sent to client`);
-                }
+    const job = manager.get(job_id);
+    if (!job || !auth.canView(principal, job)) {
+        throw new Error(`Unknown job: ${job_id}`);
+    }
+    return job;
+}
 
-                // Wait a moment to ensure the data is sent before closing
-                setTimeout(() => {
-                    safeSocketEnd(downloadTracker.socket);
-                    logger.debug(`Socket closed after error response`);
+// Handle a download request from a client
+function handleDownloadRequest(socket, request, principal) {
+    const { bot_name, pack_number, download_path, network, channel, resume_policy, collision_policy, path_template, verify, callback_url, max_rate } = request;
+
+    // Queue the download; it starts as soon as the bot and a download slot are free
+    const job = manager.submit(auth.authorizeDownload(principal, {
+        network,
+        channel,
+        resumePolicy: resume_policy,
+        collisionPolicy: collision_policy,
+        template: path_template,
+        verify,
+        callbackUrl: callback_url,
+        maxRate: max_rate,
+        bot: bot_name,
+        pack: pack_number,
+        downloadPath: download_path
+    }));
+
+    logger.info(`Received request for bot ${bot_name} on ${job.network}, pack #${pack_number}${download_path ? ', custom path: '+download_path : ''}${job.owner ? ` from token ${job.owner}` : ''}`);
+
+    // Store information needed to respond later
+    subscribe(job.id, socket, request);
+
+    // Queued while the network is reconnecting, clients may rather try elsewhere
+    const jobNetwork = networks.get(job.network);
+    if (jobNetwork.isUnavailable()) {
+        reply(socket, request, {
+            status: 'irc_unavailable',
+            job_id: job.id,
+            message: `IRC network ${jobNetwork.name} is unavailable, queued download request for pack #${pack_number} from ${bot_name} until it is reconnected`,
+            network: jobNetwork.name,
+            retry_at: jobNetwork.retryAt ? new Date(jobNetwork.retryAt).toISOString() : null,
+            queued: true,
+            pack_number: pack_number
+        });
+        return;
+    }
 
-                    // Remove from active downloads
-                    activeDownloads.delete(downloadId);
-                }, 200);
-            });
-        } else {
-            logger.info(`No active socket for failed download ${filename}`);
-            // Clean up anyway
-            if (downloadId !== 'unknown') {
-                activeDownloads.delete(downloadId);
-            }
+    // Send initial response
+    reply(socket, request, {
+        status: 'downloading',
+        job_id: job.id,
+        message: job.status === 'queued'
+            ? `Queued download request for pack #${pack_number} from ${bot_name}`
+            : `Started download request for pack #${pack_number} from ${bot_name}`,
+        pack_number: pack_number
+    });
+}
+
+// Handle a request to follow an existing job
+function handleAttachRequest(socket, request, principal) {
+    const job = findRequestedJob(request, principal);
+
+    logger.info(`Client attached to job ${job.id} (${job.status})`);
+
+    // A finished job has nothing more to stream, so just report how it ended
+    if (!manager.isPending(job)) {
+        reply(socket, request, finalResponse(job));
+        return;
+    }
+
+    subscribe(job.id, socket, request);
+
+    reply(socket, request, Object.assign({ status: 'attached' }, manager.describe(job)));
+}
+
+// Handle a request for the current state of a job
+function handleStatusRequest(socket, request, principal) {
+    const job = findRequestedJob(request, principal);
+
+    reply(socket, request, Object.assign({ status: 'job' }, manager.describe(job)));
+}
+
+// Handle a request for all known jobs
+function handleListRequest(socket, request, principal) {
+    const jobs = manager.list()
+        .filter(job => auth.canView(principal, job))
+        .filter(job => !request.state || job.status === request.state)
+        .filter(job => !request.network || job.network === request.network)
+        .map(job => manager.describe(job));
+
+    reply(socket, request, { status: 'list', downloads: jobs });
+}
+
+// Handle a request to cancel a queued or running job
+function handleCancelRequest(socket, request, principal) {
+    const { job_id, bot_name, pack_number, network, delete_partial } = request;
+
+    let job;
+    if (job_id) {
+        job = findRequestedJob(request, principal);
+        if (!auth.canCancel(principal, job)) {
+            throw new AuthError('FORBIDDEN', `Token ${principal.name} may not cancel job ${job.id}`);
+        }
+    } else if (bot_name && pack_number) {
+        job = manager.findPending(bot_name, pack_number, network, candidate => auth.canCancel(principal, candidate));
+        if (!job) {
+            throw new Error(`No queued or running download of pack #${pack_number} from ${bot_name}`);
         }
+    } else {
+        throw new Error('Invalid request format. Required fields: job_id, or bot_name and pack_number');
+    }
+
+    // The reply below tells this socket, it must not hear about the cancel twice
+    const subscribers = subscriptions.get(job.id);
+    if (subscribers) subscribers.delete(socket);
+
+    if (!manager.cancel(job.id, { deletePartial: delete_partial === true })) {
+        throw new Error(`Job ${job.id} is already ${job.status}`);
     }
+
+    reply(socket, request, finalResponse(job));
+}
+
+// Handle a request for the free space and quota usage, answered once the disk has been checked
+function handleStorageRequest(socket, request) {
+    manager.storage((err, storage) => {
+        if (err) {
+            logger.error(`Failed to check storage: ${err.message}`);
+            reply(socket, request, { status: 'error', message: `Failed to check storage: ${err.message}` });
+            return;
+        }
+        reply(socket, request, Object.assign({ status: 'storage' }, storage));
+    });
+}
+
+// Handle a keep-alive request
+function handlePingRequest(socket, request) {
+    reply(socket, request, { status: 'pong', time: new Date().toISOString() });
+}
+
+// TCP API commands, selected by the request's action field
+const requestHandlers = {
+    download: handleDownloadRequest,
+    attach: handleAttachRequest,
+    subscribe: handleAttachRequest,
+    status: handleStatusRequest,
+    list: handleListRequest,
+    cancel: handleCancelRequest,
+    storage: handleStorageRequest,
+    ping: handlePingRequest
 };
 
 // Create TCP server for receiving download requests
-const server = net.createServer((socket) => {
+const createServer = apiTls ? listener => tls.createServer(apiTls, listener) : listener => net.createServer(listener);
+const server = createServer((socket) => {
     const clientId = `${socket.remoteAddress}:${socket.remotePort}`;
     logger.info(`New connection from ${clientId}`);
 
     socket.setEncoding('utf8');
 
-    // Set timeout to prevent zombie connections
+    // Set timeout to prevent zombie connections, but keep clients that are waiting on a download
     socket.setTimeout(60000, () => {
+        if (hasPendingSubscriptions(socket)) return;
+
         logger.info(`Connection from ${clientId} timed out`);
         safeSocketEnd(socket);
     });
 
-    let requestData = '';
-    socket.on('data', (data) => {
-        requestData += data.toString();
+    // Requests are newline-delimited JSON, any number of them per connection
+    const reader = new MessageReader({ maxLength: 10000 });
 
-        // Simple guard against very large requests
-        if (requestData.length > 10000) {
-            logger.warn(`Received oversized request from ${clientId}, closing connection`);
-            safeSocketWrite(socket, {
-                status: 'error',
-                message: 'Request too large'
-            });
-            safeSocketEnd(socket);
-            return;
-        }
+    reader.on('message', (request) => {
+        const action = request.action || 'download';
+        const handler = requestHandlers[action];
 
         try {
-            // Attempt to parse JSON - if it fails, wait for more data
-            const request = JSON.parse(requestData);
-            requestData = ''; // Reset for potential future requests
-
-            // Check required parameters
-            const { bot_name, pack_number, send_progress, download_path } = request;
-
-            if (!bot_name || !pack_number) {
-                throw new Error('Invalid request format. Required fields: bot_name, pack_number');
+            if (!handler) {
+                throw new Error(`Unknown action: ${action}`);
             }
 
-            // Sanitize and validate the download path if provided
-            const downloadPath = sanitizePath(download_path);
-
-            logger.info(`Received request for bot ${bot_name}, pack #${pack_number}${download_path ? ', custom path: '+download_path : ''}`);
+            // Everything but keep-alives needs a token once tokens are configured
+            const principal = action === 'ping' ? null : auth.authenticate(request.token);
+            handler(socket, request, principal);
+        } catch (err) {
+            logger.error(`Error processing ${action} request from ${clientId}: ${err.message}`);
+            if (err instanceof NetworkUnavailableError) {
+                reply(socket, request, {
+                    status: 'irc_unavailable',
+                    code: err.code,
+                    message: err.message,
+                    network: err.network,
+                    retry_at: err.retryAt ? new Date(err.retryAt).toISOString() : null
+                });
+                return;
+            }
 
-            // Send initial response
-            safeSocketWrite(socket, {
-                status: 'downloading',
-                message: `Started download request for pack #${pack_number} from ${bot_name}`,
-                pack_number: pack_number
+            reply(socket, request, err instanceof AuthError ? {
+                status: 'error',
+                code: err.code,
+                message: err.message
+            } : {
+                status: 'error',
+                message: `Invalid request: ${err.message}`
             });
+        }
+    });
 
-            // Create download request
-            const xdccRequest = new axdcc.Request(client, {
-                pack: '#' + pack_number,
-                nick: bot_name,
-                path: downloadPath,  // Use custom path or default
-                resume: true, // Enable resume to handle interrupted downloads
-                progressInterval: PROGRESS_INTERVAL,
-                verbose: true // Enable detailed progress logging
-            });
+    reader.on('invalid', (err) => {
+        logger.error(`Error processing request from ${clientId}: ${err.message}`);
+        safeSocketWrite(socket, {
+            status: 'error',
+            message: `Invalid request: ${err.message}`
+        });
+    });
 
-            // Set up connection handler to store reference to socket
-            xdccRequest.once("connect", function(pack) {
-                const downloadId = pack.filename + '|' + pack.port;
-
-                // Store information needed to respond later
-                activeDownloads.set(downloadId, {
-                    socket: socket,
-                    packNumber: pack_number,
-                    sendProgress: send_progress === true,
-                    startTime: Date.now(),
-                    request: xdccRequest,
-                    customPath: download_path
-                });
+    // Simple guard against very large requests
+    reader.on('overflow', () => {
+        logger.warn(`Received oversized request from ${clientId}, closing connection`);
+        safeSocketWrite(socket, {
+            status: 'error',
+            message: 'Request too large'
+        });
+        safeSocketEnd(socket);
+    });
 
-                // Call the normal connect handler
-                xdccHandlers.connect(pack);
-            });
+    socket.on('data', (data) => reader.push(data));
 
-            // Attach event handlers
-            xdccRequest
-                .on("progress", xdccHandlers.progress)
-                .on("complete", xdccHandlers.complete)
-                .on("dlerror", xdccHandlers.error);
-
-            // Start the download
-            xdccRequest.emit("start");
-
-            // Handle socket close/error during download
-            socket.on('close', (hadError) => {
-                logger.info(`Connection from ${clientId} closed${hadError ? ' with error' : ''}`);
-
-                // If socket closed prematurely, mark it as closed but continue download
-                for (const [downloadId, tracker] of activeDownloads.entries()) {
-                    if (tracker.socket === socket) {
-                        logger.debug(`Marking socket as closed for download ${downloadId}`);
-                        // Keep the download going but mark socket as closed
-                        tracker.socket = null;
-                    }
-                }
-            });
+    // Handle socket close/error during download
+    socket.on('close', (hadError) => {
+        logger.info(`Connection from ${clientId} closed${hadError ? ' with error' : ''}`);
 
-        } catch (err) {
-            // If it's a JSON parsing error and we don't have complete data, wait for more
-            if (err instanceof SyntaxError && !requestData.endsWith('}')) {
-                return; // Wait for more data
+        // If socket closed prematurely, stop sending to it but continue the download
+        for (const [jobId, subscribers] of subscriptions.entries()) {
+            if (subscribers.delete(socket)) {
+                logger.debug(`Detached closed socket from download ${jobId}`);
             }
-
-            logger.error(`Error processing request from ${clientId}: ${err.message}`);
-            safeSocketWrite(socket, {
-                status: 'error',
-                message: `Invalid request: ${err.message}`
-            });
-            safeSocketEnd(socket);
         }
     });
 
@@ -507,6 +916,11 @@ const server = net.createServer((socket) => {
 // Set reasonable limit on listeners
 server.setMaxListeners(20);
 
+// Failed TLS handshakes, e.g. plaintext clients or missing client certificates
+server.on('tlsClientError', (err, socket) => {
+    logger.warn(`TLS handshake with ${socket.remoteAddress} failed: ${err.message}`);
+});
+
 // Handle server errors
 server.on('error', (err) => {
     logger.error(`Server error: ${err.message}`);
@@ -518,33 +932,78 @@ server.on('error', (err) => {
 
 // Start the server
 server.listen(PORT, HOST, () => {
-    logger.info(`IRC-XDCC Download server running on ${HOST}:${PORT}`);
+    logger.info(`IRC-XDCC Download server running on ${HOST}:${PORT} (${apiSecurity})`);
+});
+
+// Broadcast job lifecycle events to SSE and WebSocket watchers
+const eventStream = new EventStream({ manager, logger, auth });
+
+// Counters and gauges for GET /metrics
+const metrics = new Metrics({ manager, networks });
+
+// POST lifecycle events to webhook targets
+const splitList = value => value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+try {
+    new WebhookNotifier({
+        manager,
+        logger,
+        urls: splitList(WEBHOOK_URLS),
+        events: splitList(WEBHOOK_EVENTS),
+        secret: WEBHOOK_SECRET,
+        attempts: parseInt(WEBHOOK_RETRY_ATTEMPTS, 10),
+        delay: parseInt(WEBHOOK_RETRY_DELAY, 10),
+        timeout: parseInt(WEBHOOK_TIMEOUT, 10)
+    });
+} catch (err) {
+    logger.error(`Invalid webhook configuration: ${err.message}`);
+    process.exit(1);
+}
+
+// Create HTTP server exposing the same download manager as a REST API
+const httpApi = new HttpApi({ manager, logger, auth, tls: apiTls, events: eventStream, metrics });
+
+httpApi.server.on('tlsClientError', (err, socket) => {
+    logger.warn(`TLS handshake with ${socket.remoteAddress} failed: ${err.message}`);
+});
+
+httpApi.server.on('error', (err) => {
+    logger.error(`HTTP server error: ${err.message}`);
+    if (err.code === 'EADDRINUSE') {
+        logger.error(`Port ${HTTP_PORT} is already in use. Please choose another port.`);
+        process.exit(1);
+    }
+});
+
+httpApi.listen(HTTP_PORT, HOST, () => {
+    logger.info(`HTTP API running on ${HOST}:${HTTP_PORT} (${apiSecurity})`);
 });
 
-// Periodically clean up stale download trackers
+// Periodically clean up stale subscriptions
 setInterval(() => {
-    const now = Date.now();
     let cleaned = 0;
 
-    for (const [downloadId, tracker] of activeDownloads.entries()) {
-        // If socket is closed and download is more than 1 hour old
-        if (!tracker.socket && tracker.startTime && (now - tracker.startTime > 60 * 60 * 1000)) {
-            activeDownloads.delete(downloadId);
+    for (const [jobId, subscribers] of subscriptions.entries()) {
+        // Drop subscriptions without sockets or for jobs that are no longer running
+        const job = manager.get(jobId);
+        if (subscribers.size === 0 || !job || !manager.isPending(job)) {
+            subscriptions.delete(jobId);
             cleaned++;
         }
     }
 
     if (cleaned > 0) {
-        logger.debug(`Cleaned up ${cleaned} stale download trackers`);
+        logger.debug(`Cleaned up ${cleaned} stale download subscriptions`);
     }
 }, 30 * 60 * 1000); // Run every 30 minutes
 
 // Handle process termination
 process.on('SIGINT', () => {
     logger.info('Shutting down server...');
+    eventStream.close();
+    httpApi.close();
     server.close(() => {
         logger.info('Server stopped');
-        client.disconnect('Shutting down', () => {
+        networks.disconnect('Shutting down', () => {
             logger.info('Disconnected from IRC');
             // Close log stream
             logStream.end(() => {
@@ -570,11 +1029,3 @@ process.on('unhandledRejection', (reason, promise) => {
     // No need to exit here
 });
 
-// Utility function to format file sizes
-function formatSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-}
\ No newline at end of file
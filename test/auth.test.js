@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+
+const { TokenAuth, AuthError, parseTokens } = require('../lib/auth');
+
+// Just enough of a download manager for the permission checks
+function fakeManager(jobs) {
+  return {
+    root: path.resolve('/data'),
+    networks: new Map([['rizon', { name: 'rizon' }], ['irchighway', { name: 'irchighway' }]]),
+    list: () => jobs || [],
+    isPending: job => job.status === 'queued' || job.status === 'active'
+  };
+}
+
+function tokenAuth(tokens, jobs) {
+  return new TokenAuth({ manager: fakeManager(jobs), tokens });
+}
+
+test('parseTokens reads name:token pairs with every permission', () => {
+  assert.deepStrictEqual(parseTokens('admin:s3cret, ci:t0:ken'), [
+    { name: 'admin', token: 's3cret', listOthers: true, cancelOthers: true },
+    { name: 'ci', token: 't0:ken', listOthers: true, cancelOthers: true }
+  ]);
+  assert.deepStrictEqual(parseTokens(''), []);
+  assert.throws(() => parseTokens('admin'), /Invalid API token/);
+  assert.throws(() => parseTokens(':s3cret'), /Invalid API token/);
+  assert.throws(() => parseTokens('admin:'), /Invalid API token/);
+});
+
+test('authenticate allows everything without tokens and rejects missing or unknown tokens', () => {
+  assert.strictEqual(tokenAuth([]).authenticate(undefined), null);
+
+  const auth = tokenAuth([{ name: 'alice', token: 's3cret' }]);
+  assert.strictEqual(auth.authenticate('s3cret').name, 'alice');
+  assert.throws(() => auth.authenticate(''), error => error instanceof AuthError && error.code === 'UNAUTHORIZED');
+  assert.throws(() => auth.authenticate('s3cre'), /Invalid API token/);
+});
+
+test('a token is defined only once', () => {
+  assert.throws(() => tokenAuth([{ name: 'a', token: 'x' }, { name: 'a', token: 'y' }]), /defined twice/);
+});
+
+test('canView, canViewAll and canCancel limit a token to its own jobs', () => {
+  const auth = tokenAuth([
+    { name: 'alice', token: 'a' },
+    { name: 'admin', token: 'b', listOthers: true, cancelOthers: true },
+    { name: 'viewer', token: 'c', listOthers: true }
+  ]);
+  const alice = auth.authenticate('a');
+  const admin = auth.authenticate('b');
+  const viewer = auth.authenticate('c');
+  const own = { owner: 'alice' };
+  const other = { owner: 'bob' };
+
+  assert.ok(auth.canView(alice, own) && !auth.canView(alice, other));
+  assert.ok(auth.canCancel(alice, own) && !auth.canCancel(alice, other));
+  assert.ok(!auth.canViewAll(alice));
+
+  assert.ok(auth.canView(admin, other) && auth.canCancel(admin, other) && auth.canViewAll(admin));
+  assert.ok(auth.canView(viewer, other) && !auth.canCancel(viewer, other));
+
+  assert.ok(auth.canView(null, other) && auth.canCancel(null, other) && auth.canViewAll(null));
+});
+
+test('authorizeDownload checks networks and bot patterns', () => {
+  const auth = tokenAuth([{ name: 'alice', token: 'a', networks: ['rizon'], bots: ['MyBot|*'] }]);
+  const alice = auth.authenticate('a');
+
+  assert.strictEqual(auth.authorizeDownload(alice, { network: 'rizon', bot: 'mybot|01' }).owner, 'alice');
+  assert.throws(() => auth.authorizeDownload(alice, { network: 'irchighway', bot: 'MyBot|01' }), /network irchighway/);
+  assert.throws(() => auth.authorizeDownload(alice, { network: 'rizon', bot: 'MyBotX' }), error => error.code === 'FORBIDDEN');
+});
+
+test('authorizeDownload keeps a token inside its directories', () => {
+  const auth = tokenAuth([{ name: 'alice', token: 'a', paths: ['alice'] }]);
+  const alice = auth.authenticate('a');
+  const download = downloadPath => auth.authorizeDownload(alice, { network: 'rizon', bot: 'Bot', downloadPath });
+
+  assert.strictEqual(download(undefined).downloadPath, 'alice');
+  assert.strictEqual(download('alice/movies').downloadPath, 'alice/movies');
+  assert.throws(() => download('alice2'), error => error.code === 'FORBIDDEN');
+  assert.throws(() => download('bob'), error => error.code === 'FORBIDDEN');
+  assert.doesNotThrow(() => download('alice/../../bob'));
+});
+
+test('authorizeDownload counts only pending jobs of the token against maxJobs', () => {
+  const jobs = [
+    { owner: 'alice', status: 'active' },
+    { owner: 'alice', status: 'completed' },
+    { owner: 'bob', status: 'queued' }
+  ];
+  const fields = { network: 'rizon', bot: 'Bot' };
+
+  const roomy = tokenAuth([{ name: 'alice', token: 'a', maxJobs: 2 }], jobs);
+  assert.strictEqual(roomy.authorizeDownload(roomy.authenticate('a'), fields).owner, 'alice');
+
+  const full = tokenAuth([{ name: 'alice', token: 'a', maxJobs: 1 }], jobs);
+  assert.throws(() => full.authorizeDownload(full.authenticate('a'), fields), error => error.code === 'TOO_MANY_JOBS');
+
+  assert.strictEqual(roomy.authorizeDownload(null, fields), fields);
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const { Request } = require('../lib/axdcc');
+const { crc32 } = require('../lib/verify');
+
+// IRC client with just what a request uses
+function fakeClient() {
+  const client = new EventEmitter();
+  client.nick = 'me';
+  client.said = [];
+  client.say = (target, message) => client.said.push(message);
+  client.ctcp = () => {};
+  return client;
+}
+
+test('verifies a file that arrives in many small chunks', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'axdcc-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const data = Buffer.alloc(4 * 1024 * 1024);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 31) & 0xFF;
+  const tag = crc32(0, data).toString(16).padStart(8, '0').toUpperCase();
+  const filename = `Show - 01 [${tag}].mkv`;
+
+  // Bot sending the file 4 KiB at a time
+  const bot = net.createServer((socket) => {
+    socket.on('error', () => {});
+    let offset = 0;
+    const sendChunk = () => {
+      if (offset >= data.length) {
+        socket.end();
+        return;
+      }
+      socket.write(data.subarray(offset, offset + 4096), () => setImmediate(sendChunk));
+      offset += 4096;
+    };
+    sendChunk();
+  });
+  await new Promise(resolve => bot.listen(0, '127.0.0.1', resolve));
+  t.after(() => bot.close());
+
+  const client = fakeClient();
+  const request = new Request(client, {
+    nick: 'Bot',
+    pack: '#1',
+    path: directory,
+    verify: true,
+    onMismatch: 'redownload',
+    timeouts: { send: 0 }
+  });
+
+  const pack = await new Promise((resolve, reject) => {
+    request.on('complete', resolve);
+    request.on('dlerror', (failed, error) => reject(error instanceof Error ? error : new Error(error)));
+    request.emit('start');
+    client.emit('ctcp-privmsg', 'Bot', 'me', `DCC SEND "${filename}" 2130706433 ${bot.address().port} ${data.length}`);
+  });
+
+  assert.strictEqual(pack.verification.status, 'verified');
+  assert.ok(fs.readFileSync(pack.location).equals(data));
+  assert.ok(!fs.existsSync(`${pack.location}.part`));
+});
+
+test('accepts the offer of an XDCC INFO Sendname that differs from the Filename', () => {
+  const client = fakeClient();
+  const request = new Request(client, { nick: 'Bot', pack: '#5', path: os.tmpdir(), verify: true, timeouts: { send: 0 } });
+  request.emit('start');
+
+  client.emit('notice', 'Bot', 'me', ' Pack Info for Pack #5:');
+  client.emit('notice', 'Bot', 'me', ' Filename       Show - 01.mkv');
+  client.emit('notice', 'Bot', 'me', ' Sendname       [Group]_Show_-_01.mkv');
+  client.emit('notice', 'Bot', 'me', ' Filesize       2147483648 [2.0GB]');
+
+  assert.ok(request._isRequestedFile('[Group]_Show_-_01.mkv'));
+  assert.ok(request._isRequestedFile('Show - 01.mkv'));
+  assert.ok(!request._isRequestedFile('Other.mkv'));
+  request.emit('kill');
+});
+
+test('keeps waiting for the offer after a stray DCC ACCEPT', async () => {
+  const client = fakeClient();
+  const request = new Request(client, { nick: 'Bot', pack: '#5', path: os.tmpdir(), timeouts: { send: 0.2 } });
+
+  const error = await new Promise((resolve) => {
+    request.on('dlerror', (pack, failure) => resolve(failure));
+    request.emit('start');
+    client.emit('ctcp-privmsg', 'Bot', 'me', 'DCC ACCEPT other.mkv 5000 1024');
+  });
+
+  assert.strictEqual(error.code, 'SEND_TIMEOUT');
+});
@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+
+const {
+  PathError,
+  sanitizeName,
+  isInside,
+  resolveFile,
+  resolveDirectory,
+  parseTemplate,
+  expandTemplate,
+  MAX_NAME_BYTES
+} = require('../lib/paths');
+
+const root = path.resolve('/data');
+
+test('sanitizeName keeps only the last path component', () => {
+  assert.strictEqual(sanitizeName('../../etc/passwd'), 'passwd');
+  assert.strictEqual(sanitizeName('..\\..\\boot.ini'), 'boot.ini');
+  assert.strictEqual(sanitizeName('/absolute/file.mkv'), 'file.mkv');
+});
+
+test('sanitizeName drops control characters, leading dots and trailing dots', () => {
+  assert.strictEqual(sanitizeName('fi\x00le\x1b.mkv'), 'file.mkv');
+  assert.strictEqual(sanitizeName('.hidden'), 'hidden');
+  assert.strictEqual(sanitizeName('..'), '');
+  assert.strictEqual(sanitizeName('name. . '), 'name');
+});
+
+test('sanitizeName shortens long names and keeps their extension', () => {
+  const safe = sanitizeName(`${'é'.repeat(300)}.mkv`);
+  assert.ok(Buffer.byteLength(safe) <= MAX_NAME_BYTES);
+  assert.ok(safe.endsWith('é.mkv'));
+});
+
+test('isInside accepts the root and its children only', () => {
+  assert.ok(isInside(root, root));
+  assert.ok(isInside(root, path.join(root, 'a', 'b')));
+  assert.ok(!isInside(root, path.resolve(root, '..', 'data2')));
+  assert.ok(!isInside(root, path.resolve('/etc')));
+});
+
+test('resolveFile keeps bot file names inside the directory', () => {
+  assert.strictEqual(resolveFile(root, '../../etc/cron.d/job'), path.join(root, 'job'));
+  assert.throws(() => resolveFile(root, '..'), PathError);
+  assert.throws(() => resolveFile(root, '\x00'), error => error.code === 'INVALID_PATH');
+});
+
+test('resolveDirectory drops traversal segments', () => {
+  assert.strictEqual(resolveDirectory(root, '../alice/../../movies'), path.join(root, 'alice', 'movies'));
+  assert.strictEqual(resolveDirectory(root, '/'), root);
+});
+
+test('parseTemplate splits directory and file name and rejects unknown placeholders', () => {
+  assert.deepStrictEqual(parseTemplate('{network}/{bot}/{filename}'), { directory: '{network}/{bot}', file: '{filename}' });
+  assert.throws(() => parseTemplate('{nope}/{filename}'), PathError);
+  assert.throws(() => parseTemplate('{filename}/file'), PathError);
+});
+
+test('expandTemplate sanitizes the values it fills in', () => {
+  assert.strictEqual(expandTemplate('{bot}/{filename}', { bot: '../Bot', filename: 'a.mkv' }), 'Bot/a.mkv');
+});
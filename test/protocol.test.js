@@ -0,0 +1,58 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { encodeMessage, MessageReader } = require('../lib/protocol');
+
+// Reader that records everything it emits
+function recordingReader(options) {
+  const reader = new MessageReader(options);
+  const events = [];
+  reader.on('message', message => events.push(['message', message]));
+  reader.on('invalid', (err, line) => events.push(['invalid', line]));
+  reader.on('overflow', () => events.push(['overflow']));
+  return { reader, events };
+}
+
+test('encodeMessage writes one JSON object per line', () => {
+  assert.strictEqual(encodeMessage({ status: 'pong' }), '{"status":"pong"}\n');
+});
+
+test('splits several messages in one chunk and joins messages split over chunks', () => {
+  const { reader, events } = recordingReader();
+  reader.push('{"a":1}\n{"b":');
+  reader.push('2}\n\n{"c":3}\r\n');
+
+  assert.deepStrictEqual(events, [
+    ['message', { a: 1 }],
+    ['message', { b: 2 }],
+    ['message', { c: 3 }]
+  ]);
+});
+
+test('accepts a single object without a trailing newline', () => {
+  const { reader, events } = recordingReader();
+  reader.push('{"action":"list"}');
+
+  assert.deepStrictEqual(events, [['message', { action: 'list' }]]);
+});
+
+test('reports lines that are not JSON objects and goes on', () => {
+  const { reader, events } = recordingReader();
+  reader.push('not json\n[1,2]\n{"ok":true}\n');
+
+  assert.deepStrictEqual(events, [
+    ['invalid', 'not json'],
+    ['invalid', '[1,2]'],
+    ['message', { ok: true }]
+  ]);
+});
+
+test('drops a message that grows beyond the limit', () => {
+  const { reader, events } = recordingReader({ maxLength: 10 });
+  reader.push('{"long":"xxxxxxxxxx');
+  reader.push('"}\n{"a":1}\n');
+
+  assert.deepStrictEqual(events, [['overflow'], ['invalid', '"}'], ['message', { a: 1 }]]);
+});
@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { DownloadQueue } = require('../lib/queue');
+
+// Store that keeps nothing
+const memoryStore = { load: () => [], save: () => {} };
+
+test('never runs more jobs than allowed when a job ends while starting', () => {
+  const queue = new DownloadQueue({ store: memoryStore, maxConcurrent: 2 });
+  for (const bot of ['A', 'B', 'C', 'D']) {
+    queue.add({ bot, pack: '1', path: '/tmp' });
+  }
+
+  const runs = [];
+  queue.on('run', (job) => {
+    runs.push(job.bot);
+    const active = queue.list().filter(candidate => candidate.status === 'active').length;
+    assert.ok(active <= 2, `${active} jobs active`);
+
+    // Fails as soon as it starts, which schedules the next job right away
+    if (job.bot === 'A') queue.finish(job.id, 'failed');
+  });
+  queue.start();
+
+  assert.deepStrictEqual(runs.sort(), ['A', 'B', 'C']);
+});
+
+test('runs one transfer per bot at a time', () => {
+  const queue = new DownloadQueue({ store: memoryStore, maxConcurrent: 3 });
+  const first = queue.add({ network: 'default', bot: 'Bot', pack: '1', path: '/tmp' });
+  const second = queue.add({ network: 'default', bot: 'bot', pack: '2', path: '/tmp' });
+
+  queue.start();
+  assert.strictEqual(first.status, 'active');
+  assert.strictEqual(second.status, 'queued');
+
+  queue.finish(first.id, 'completed');
+  assert.strictEqual(second.status, 'active');
+});
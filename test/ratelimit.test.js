@@ -0,0 +1,50 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { RateLimiter, parseRate, parseSchedule, lowestRate } = require('../lib/ratelimit');
+
+test('parseRate reads bytes per second with an optional /s', () => {
+  assert.strictEqual(parseRate('524288'), 524288);
+  assert.strictEqual(parseRate('512K'), 512 * 1024);
+  assert.strictEqual(parseRate('2MiB/s'), 2 * 1024 * 1024);
+  assert.strictEqual(parseRate(1000), 1000);
+});
+
+test('parseRate treats an empty rate as no limit and rejects garbage', () => {
+  assert.strictEqual(parseRate(undefined), 0);
+  assert.strictEqual(parseRate(''), 0);
+  assert.throws(() => parseRate('fast'), /Invalid rate: fast/);
+  assert.throws(() => parseRate('/s'), /Invalid rate/);
+});
+
+test('parseSchedule reads time windows, also across midnight', () => {
+  assert.deepStrictEqual(parseSchedule('08:00-18:00=512K, 22:00-06:00=0'), [
+    { from: 8 * 60, to: 18 * 60, rate: 512 * 1024 },
+    { from: 22 * 60, to: 6 * 60, rate: 0 }
+  ]);
+  assert.throws(() => parseSchedule('8-18=1M'), /Invalid rate schedule window/);
+  assert.throws(() => parseSchedule('25:00-26:00=1M'), /Invalid rate schedule window/);
+});
+
+test('currentRate follows the schedule and falls back to the rate', () => {
+  const limiter = new RateLimiter({ rate: 100, schedule: parseSchedule('08:00-18:00=10,22:00-06:00=0') });
+  const at = (hours, minutes) => new Date(2024, 0, 1, hours, minutes);
+
+  assert.strictEqual(limiter.currentRate(at(9, 0)), 10);
+  assert.strictEqual(limiter.currentRate(at(18, 0)), 100);
+  assert.strictEqual(limiter.currentRate(at(23, 30)), 0);
+  assert.strictEqual(limiter.currentRate(at(5, 59)), 0);
+});
+
+test('consume asks to wait once the bucket is in debt', () => {
+  const limiter = new RateLimiter({ rate: 1000 });
+  assert.ok(limiter.consume(2000) >= 1000);
+  assert.strictEqual(new RateLimiter().consume(1e9), 0);
+});
+
+test('lowestRate ignores missing limits', () => {
+  assert.strictEqual(lowestRate([0, 500, undefined, 200]), 200);
+  assert.strictEqual(lowestRate([0, null]), 0);
+});
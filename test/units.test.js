@@ -0,0 +1,38 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { parseBytes } = require('../lib/units');
+const { parseSize, parseQuotas } = require('../lib/diskspace');
+
+test('parseBytes reads plain numbers and binary suffixes', () => {
+  assert.strictEqual(parseBytes(1073741824), 1073741824);
+  assert.strictEqual(parseBytes('512'), 512);
+  assert.strictEqual(parseBytes('512B'), 512);
+  assert.strictEqual(parseBytes('512K'), 512 * 1024);
+  assert.strictEqual(parseBytes('1.5 G'), 1.5 * 1024 * 1024 * 1024);
+  assert.strictEqual(parseBytes('2TiB'), 2 * 1024 * 1024 * 1024 * 1024);
+  assert.strictEqual(parseBytes(' 10mb '), 10 * 1024 * 1024);
+});
+
+test('parseBytes returns null for anything else', () => {
+  for (const value of ['', 'abc', '-1', '5X', '1/s', '1e3']) {
+    assert.strictEqual(parseBytes(value), null, value);
+  }
+});
+
+test('parseSize throws on invalid sizes', () => {
+  assert.strictEqual(parseSize('500G'), 500 * 1024 * 1024 * 1024);
+  assert.throws(() => parseSize('lots'), /Invalid size: lots/);
+});
+
+test('parseQuotas reads directory=size pairs relative to the root', () => {
+  assert.deepStrictEqual(parseQuotas('movies=500G, /tv/anime/=1T,/=2T'), [
+    { path: 'movies', limit: 500 * 1024 * 1024 * 1024 },
+    { path: 'tv/anime', limit: 1024 * 1024 * 1024 * 1024 },
+    { path: '', limit: 2 * 1024 * 1024 * 1024 * 1024 }
+  ]);
+  assert.deepStrictEqual(parseQuotas(''), []);
+  assert.throws(() => parseQuotas('movies'), /Invalid quota/);
+});
@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { crc32, filenameChecksum, parseInfoChecksum, expectedChecksums, verifyFile } = require('../lib/verify');
+
+test('crc32 matches the reference value and can be continued over chunks', () => {
+  assert.strictEqual(crc32(0, Buffer.from('123456789')), 0xCBF43926);
+  assert.strictEqual(crc32(crc32(0, Buffer.from('12345')), Buffer.from('6789')), 0xCBF43926);
+  assert.strictEqual(crc32(0, Buffer.alloc(0)), 0);
+});
+
+test('filenameChecksum takes the last CRC32 tag of a file name', () => {
+  assert.strictEqual(filenameChecksum('[Group] Show - 01 [1080p][A1B2C3D4].mkv'), 'a1b2c3d4');
+  assert.strictEqual(filenameChecksum('[11111111] Show [CBF43926].mkv'), 'cbf43926');
+  assert.strictEqual(filenameChecksum('Show - 01 [1080p].mkv'), null);
+});
+
+test('parseInfoChecksum recognises the checksum lines of XDCC INFO', () => {
+  assert.deepStrictEqual(parseInfoChecksum(' md5sum     D41D8CD98F00B204E9800998ECF8427E'), { type: 'md5', value: 'd41d8cd98f00b204e9800998ecf8427e' });
+  assert.deepStrictEqual(parseInfoChecksum(' crc32      CBF43926'), { type: 'crc32', value: 'cbf43926' });
+  assert.deepStrictEqual(parseInfoChecksum('CRC32: cbf43926'), { type: 'crc32', value: 'cbf43926' });
+  assert.strictEqual(parseInfoChecksum(' Filename   file.mkv'), null);
+  assert.strictEqual(parseInfoChecksum(' md5sum     not-a-checksum'), null);
+});
+
+test('expectedChecksums does not repeat a file name tag that XDCC INFO already gave', () => {
+  assert.deepStrictEqual(expectedChecksums('Show [CBF43926].mkv', { crc32: 'cbf43926' }), [
+    { type: 'crc32', source: 'xdcc_info', expected: 'cbf43926' }
+  ]);
+  assert.deepStrictEqual(expectedChecksums('Show [CBF43926].mkv'), [
+    { type: 'crc32', source: 'filename', expected: 'cbf43926' }
+  ]);
+  assert.deepStrictEqual(expectedChecksums('Show.mkv'), []);
+});
+
+test('verifyFile reports verified, mismatch and unverifiable files', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const location = path.join(directory, 'file.bin');
+  fs.writeFileSync(location, '123456789');
+
+  const verify = checksums => new Promise((resolve, reject) => {
+    verifyFile(location, checksums, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+
+  const verified = await verify([
+    { type: 'crc32', source: 'filename', expected: 'cbf43926' },
+    { type: 'md5', source: 'xdcc_info', expected: '25f9e794323b453885f5181f1b624d0b' }
+  ]);
+  assert.strictEqual(verified.status, 'verified');
+
+  const mismatch = await verify([{ type: 'crc32', source: 'filename', expected: '00000000' }]);
+  assert.strictEqual(mismatch.status, 'mismatch');
+  assert.strictEqual(mismatch.checksums[0].actual, 'cbf43926');
+
+  assert.strictEqual((await verify([])).status, 'unverifiable');
+});